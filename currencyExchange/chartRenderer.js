@@ -0,0 +1,291 @@
+import sharp from "sharp";
+
+// SVG chart builders for GET /countries/image, plus conversion to png/webp.
+// Builders are pure: they take already-queried data and return an SVG string.
+
+const FONT = "Arial";
+const TEXT_COLOR = "#34495e";
+const BACKGROUND = "#f0f8ff";
+const PALETTE = [
+  "#2980b9",
+  "#27ae60",
+  "#e67e22",
+  "#8e44ad",
+  "#c0392b",
+  "#16a085",
+  "#f39c12",
+  "#2c3e50",
+  "#d35400",
+  "#7f8c8d",
+];
+
+export const IMAGE_CONTENT_TYPES = {
+  png: "image/png",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+};
+
+// Escape text for use inside SVG markup
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Compact number for axis labels: 1.2K, 3.4M, 5.6B, 7.8T
+const formatCompact = (value) => {
+  const units = [
+    [1e12, "T"],
+    [1e9, "B"],
+    [1e6, "M"],
+    [1e3, "K"],
+  ];
+  for (const [size, suffix] of units) {
+    if (Math.abs(value) >= size) {
+      return `${(value / size).toFixed(1)}${suffix}`;
+    }
+  }
+  return `${Math.round(value)}`;
+};
+
+const metricLabel = (metric) =>
+  metric === "population" ? "Population" : "Estimated GDP";
+
+const svgFrame = (width, height, title, body) => `
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <rect width="${width}" height="${height}" fill="${BACKGROUND}"/>
+        <text x="${width / 2}" y="50" text-anchor="middle" font-size="28" font-family="${FONT}" fill="#2c3e50">
+          ${escapeXml(title)}
+        </text>
+        ${body}
+        <text x="${width / 2}" y="${
+          height - 50
+        }" text-anchor="middle" font-size="14" font-family="${FONT}" fill="#7f8c8d">
+          Generated: ${new Date().toISOString()}
+        </text>
+      </svg>
+    `;
+
+// Text summary: total count, top countries by GDP and last refresh time
+export const renderSummarySvg = ({
+  width,
+  height,
+  totalCountries,
+  topCountries,
+  lastRefreshTime,
+}) => {
+  const lines = topCountries
+    .map(
+      (country, index) => `
+        <text x="70" y="${
+          180 + index * 30
+        }" font-size="16" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${index + 1}. ${escapeXml(country.name)}: $${
+            country.estimated_gdp
+              ? Math.round(country.estimated_gdp).toLocaleString()
+              : "N/A"
+          }
+        </text>
+      `
+    )
+    .join("");
+
+  return svgFrame(
+    width,
+    height,
+    "Countries Summary Report",
+    `
+        <text x="50" y="100" font-size="20" font-family="${FONT}" fill="${TEXT_COLOR}">
+          Total Countries: ${totalCountries}
+        </text>
+        <text x="50" y="140" font-size="18" font-family="${FONT}" fill="${TEXT_COLOR}">
+          Top ${topCountries.length} Countries by Estimated GDP:
+        </text>
+        ${lines}
+        <text x="50" y="${
+          250 + topCountries.length * 30
+        }" font-size="16" font-family="${FONT}" fill="${TEXT_COLOR}">
+          Last Refresh: ${new Date(lastRefreshTime).toLocaleString()}
+        </text>
+    `
+  );
+};
+
+// Horizontal bar chart of [{ label, value }]
+export const renderBarChartSvg = ({ width, height, metric, title, items }) => {
+  const top = 80;
+  const bottom = 80;
+  const labelWidth = Math.min(200, width * 0.3);
+  const chartWidth = width - labelWidth - 100;
+  const rowHeight = items.length
+    ? (height - top - bottom) / items.length
+    : height - top - bottom;
+  const barHeight = Math.max(4, rowHeight * 0.7);
+  const maxValue = Math.max(...items.map((item) => item.value), 0) || 1;
+
+  const bars = items
+    .map((item, index) => {
+      const y = top + index * rowHeight;
+      const barWidth = Math.max(1, (item.value / maxValue) * chartWidth);
+      return `
+        <text x="${labelWidth}" y="${
+          y + barHeight / 2 + 4
+        }" text-anchor="end" font-size="13" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${escapeXml(item.label)}
+        </text>
+        <rect x="${labelWidth + 10}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${
+          PALETTE[index % PALETTE.length]
+        }"/>
+        <text x="${labelWidth + 15 + barWidth}" y="${
+          y + barHeight / 2 + 4
+        }" font-size="12" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${formatCompact(item.value)}
+        </text>
+      `;
+    })
+    .join("");
+
+  return svgFrame(
+    width,
+    height,
+    title || `Top ${items.length} by ${metricLabel(metric)}`,
+    bars
+  );
+};
+
+// Pie chart of [{ label, value }] with a legend on the right
+export const renderPieChartSvg = ({ width, height, metric, title, items }) => {
+  const total = items.reduce((sum, item) => sum + item.value, 0) || 1;
+  const radius = Math.max(20, Math.min(width * 0.6, height - 160) / 2);
+  const cx = 40 + radius;
+  const cy = 80 + radius;
+
+  let angle = -Math.PI / 2;
+  const slices = items
+    .map((item, index) => {
+      const color = PALETTE[index % PALETTE.length];
+      const share = item.value / total;
+
+      // A single full slice cannot be drawn as an arc
+      if (share >= 0.9999) {
+        return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`;
+      }
+
+      const start = angle;
+      angle += share * 2 * Math.PI;
+      const x1 = cx + radius * Math.cos(start);
+      const y1 = cy + radius * Math.sin(start);
+      const x2 = cx + radius * Math.cos(angle);
+      const y2 = cy + radius * Math.sin(angle);
+      const largeArc = share > 0.5 ? 1 : 0;
+
+      return `<path d="M ${cx} ${cy} L ${x1} ${y1} A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2} Z" fill="${color}"/>`;
+    })
+    .join("");
+
+  const legendX = cx + radius + 30;
+  const legend = items
+    .map(
+      (item, index) => `
+        <rect x="${legendX}" y="${80 + index * 24}" width="14" height="14" fill="${
+          PALETTE[index % PALETTE.length]
+        }"/>
+        <text x="${legendX + 20}" y="${
+          92 + index * 24
+        }" font-size="13" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${escapeXml(item.label)} (${((item.value / total) * 100).toFixed(1)}%)
+        </text>
+      `
+    )
+    .join("");
+
+  return svgFrame(
+    width,
+    height,
+    title || `${metricLabel(metric)} by Region`,
+    slices + legend
+  );
+};
+
+// Histogram of positive values, bucketed on a log10 scale since
+// population and GDP span several orders of magnitude
+export const renderHistogramSvg = ({
+  width,
+  height,
+  metric,
+  title,
+  values,
+  bins,
+}) => {
+  const positive = values.filter((value) => value > 0);
+  const top = 90;
+  const bottom = 100;
+  const left = 60;
+  const chartWidth = width - left - 30;
+  const chartHeight = height - top - bottom;
+
+  const minLog = positive.length ? Math.log10(Math.min(...positive)) : 0;
+  const maxLog = positive.length ? Math.log10(Math.max(...positive)) : 1;
+  const span = maxLog - minLog || 1;
+  const counts = new Array(bins).fill(0);
+
+  positive.forEach((value) => {
+    const index = Math.min(
+      bins - 1,
+      Math.floor(((Math.log10(value) - minLog) / span) * bins)
+    );
+    counts[index]++;
+  });
+
+  const maxCount = Math.max(...counts, 1);
+  const barWidth = chartWidth / bins;
+
+  const bars = counts
+    .map((count, index) => {
+      const barHeight = (count / maxCount) * chartHeight;
+      const x = left + index * barWidth;
+      const lowerBound = 10 ** (minLog + (index / bins) * span);
+      return `
+        <rect x="${x + 1}" y="${top + chartHeight - barHeight}" width="${Math.max(
+          1,
+          barWidth - 2
+        )}" height="${barHeight}" fill="${PALETTE[0]}"/>
+        <text x="${x + barWidth / 2}" y="${
+          top + chartHeight - barHeight - 5
+        }" text-anchor="middle" font-size="11" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${count}
+        </text>
+        <text x="${x + barWidth / 2}" y="${
+          top + chartHeight + 18
+        }" text-anchor="middle" font-size="10" font-family="${FONT}" fill="${TEXT_COLOR}">
+          ${formatCompact(lowerBound)}
+        </text>
+      `;
+    })
+    .join("");
+
+  return svgFrame(
+    width,
+    height,
+    title ||
+      `${metricLabel(metric)} Distribution (${positive.length} countries)`,
+    `
+        <line x1="${left}" y1="${top + chartHeight}" x2="${
+          left + chartWidth
+        }" y2="${top + chartHeight}" stroke="${TEXT_COLOR}"/>
+        ${bars}
+    `
+  );
+};
+
+// Convert an SVG string to the requested output format
+export const convertSvg = async (svg, format) => {
+  if (format === "svg") {
+    return Buffer.from(svg);
+  }
+
+  const image = sharp(Buffer.from(svg));
+  return format === "webp" ? image.webp().toBuffer() : image.png().toBuffer();
+};
@@ -0,0 +1,69 @@
+import crypto from "crypto";
+
+// Conditional GET for the country endpoints.
+// Validators come from the rows' own timestamps (last_refreshed_at /
+// updated_at), so answering 304 needs no more than one small query.
+
+// { etag, lastModified } for data last changed at lastModified.
+// parts: anything else the response body depends on (URL, flags, row count)
+export const buildValidators = (lastModified, ...parts) => {
+  const changedAt = lastModified ? new Date(lastModified) : null;
+
+  // The ETag uses the full timestamp, so two changes within the same second
+  // still get different tags
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify([changedAt ? changedAt.getTime() : null, ...parts]))
+    .digest("base64url");
+
+  // HTTP dates only carry whole seconds
+  const modified = changedAt ? new Date(changedAt) : null;
+  if (modified) {
+    modified.setMilliseconds(0);
+  }
+
+  return { etag: `W/"${hash}"`, lastModified: modified };
+};
+
+// If-None-Match wins over If-Modified-Since when both are sent (RFC 9110)
+// A "Cache-Control: no-cache" request always gets the full response, as with
+// Express's own freshness check
+const isNotModified = (req, { etag, lastModified }) => {
+  if (/(?:^|,)\s*no-cache\s*(?:,|$)/.test(req.get("Cache-Control") || "")) {
+    return false;
+  }
+
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch) {
+    const opaque = (tag) => tag.trim().replace(/^W\//, "");
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch.split(",").some((tag) => opaque(tag) === opaque(etag))
+    );
+  }
+
+  const ifModifiedSince = req.get("If-Modified-Since");
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !isNaN(since) && lastModified.getTime() <= since;
+  }
+
+  return false;
+};
+
+// Set ETag / Last-Modified and answer 304 when the client's copy is current.
+// Returns true when the response has been sent.
+export const sendIfNotModified = (req, res, validators) => {
+  res.setHeader("ETag", validators.etag);
+  if (validators.lastModified) {
+    res.setHeader("Last-Modified", validators.lastModified.toUTCString());
+  }
+  // Let clients cache, but make them check back every time
+  res.setHeader("Cache-Control", "no-cache");
+
+  if (isNotModified(req, validators)) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
@@ -1,10 +1,40 @@
 import pg from "pg";
 import dotenv from "dotenv";
-import axios from "axios";
 import { createLogger } from "../utils/logger.js";
 import fs from "fs";
 import path from "path";
-import sharp from "sharp";
+import crypto from "crypto";
+import QueryStream from "pg-query-stream";
+import {
+  REFRESH_PHASES,
+  createJob,
+  getJob,
+  getActiveJob,
+  setJobPhase,
+  completeJob,
+  failJob,
+  formatJob,
+} from "./refreshJobs.js";
+import { getNextScheduledRun, getSchedulerInfo } from "./refreshScheduler.js";
+import { getCountriesProvider, getRatesProvider } from "./dataProviders.js";
+import { getGdpModel, estimateGDP } from "./gdpModel.js";
+import { buildChangeSet } from "./refreshChanges.js";
+import {
+  IMAGE_CONTENT_TYPES,
+  renderSummarySvg,
+  renderBarChartSvg,
+  renderPieChartSvg,
+  renderHistogramSvg,
+  convertSvg,
+} from "./chartRenderer.js";
+import { EXPORT_FORMATS, createExportWriter } from "./countryExport.js";
+import {
+  validateOverrideRequest,
+  groupOverridesByCountry,
+  applyOverrides,
+} from "./countryOverrides.js";
+import { assessStaleness, notifyRefreshFailed } from "./stalenessMonitor.js";
+import { buildValidators, sendIfNotModified } from "./conditionalGet.js";
 
 const logger = createLogger("currencyExchange");
 
@@ -31,35 +61,43 @@ const pool = new Pool(
       }
 );
 
-// Function to generate random GDP multiplier.
-const calculate_GDP_Factor = () => {
-  return Math.random() * (2000 - 1000) + 1000;
-};
-
-// Function to extract currency code
-const extractCurrencyCode = (currencies) => {
+// Function to extract every currency of a country as [{ code, name, symbol }]
+// v3 sends an object keyed by code, v2 sends an array of { code, name, symbol }
+const extractCurrencies = (currencies) => {
   if (!currencies || typeof currencies !== "object") {
-    return null;
-  }
-
-  const currencyKeys = Object.keys(currencies);
-
-  if (currencyKeys.length === 0) {
-    return null;
+    return [];
   }
 
-  // This will only log if country has multiple currencies
-  if (currencyKeys.length > 1) {
-    console.log(
-      "Multiple currencies found:",
-      JSON.stringify(currencies, null, 2)
-    );
-    console.log("Available currency codes:", currencyKeys);
-    console.log("Selected first currency:", currencyKeys[0]);
-  }
+  const list = Array.isArray(currencies)
+    ? currencies.map((currency) => ({
+        code: currency?.code,
+        name: currency?.name || null,
+        symbol: currency?.symbol || null,
+      }))
+    : Object.entries(currencies).map(([code, details]) => ({
+        code,
+        name: details?.name || null,
+        symbol: details?.symbol || null,
+      }));
+
+  // Drop entries without a usable code and any duplicates
+  const seen = new Set();
+  return list.filter((currency) => {
+    if (!currency.code || typeof currency.code !== "string") {
+      return false;
+    }
+    currency.code = currency.code.toUpperCase();
+    if (seen.has(currency.code)) {
+      return false;
+    }
+    seen.add(currency.code);
+    return true;
+  });
+};
 
-  // Return the first currency code
-  return currencyKeys[0];
+// Function to extract the primary (first listed) currency code
+const extractCurrencyCode = (currencies) => {
+  return extractCurrencies(currencies)[0]?.code || null;
 };
 
 // Validation helper function
@@ -91,37 +129,6 @@ const validateCountryData = (country) => {
   };
 };
 
-// API call to fetch country data
-const fetchWithRetry = async (url, options = {}, retries = 3) => {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await axios.get(url, {
-        timeout: options.timeout || 30000,
-        ...options,
-      });
-      return response;
-    } catch (error) {
-      console.log(`Attempt ${i + 1} failed for ${url}:`, error.message);
-
-      if (i === retries - 1) {
-        // Last attempt failed - use consistent error message format
-        if (url.includes("restcountries.com")) {
-          throw new Error("Could not fetch data from restcountries.com");
-        } else if (url.includes("open.er-api.com")) {
-          throw new Error("Could not fetch data from open.er-api.com");
-        } else {
-          throw new Error(`Could not fetch data from ${url}`);
-        }
-      }
-
-      // Handling network delays: 2s, 5s, 10s, 15s, 20s
-      const delay = i < 2 ? (i + 1) * 2000 : (i + 1) * 5000;
-      console.log(`Retrying in ${delay}ms...`);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
-  }
-};
-
 // Function to get top 5 countries by GDP
 const getTop5CountriesByGDP = async () => {
   const query = `
@@ -131,7 +138,7 @@ const getTop5CountriesByGDP = async () => {
       currency_code,
       population
     FROM countries
-    WHERE estimated_gdp IS NOT NULL
+    WHERE estimated_gdp IS NOT NULL AND deleted_at IS NULL
     ORDER BY estimated_gdp DESC
     LIMIT 5
   `;
@@ -141,7 +148,8 @@ const getTop5CountriesByGDP = async () => {
 
 // Function to get total countries count
 const getTotalCountriesCount = async () => {
-  const query = "SELECT COUNT(*) as total FROM countries";
+  const query =
+    "SELECT COUNT(*) as total FROM countries WHERE deleted_at IS NULL";
   const result = await pool.query(query);
   return parseInt(result.rows[0].total);
 };
@@ -158,6 +166,18 @@ const getLastRefreshTimestamp = async () => {
   return result.rows[0]?.last_refresh_timestamp || new Date().toISOString();
 };
 
+// Function to get the time of the last completed refresh (null if none)
+export const getLastSuccessfulRefreshAt = async () => {
+  const result = await pool.query(`
+    SELECT last_refresh_timestamp
+    FROM refresh_metadata
+    WHERE status = 'completed'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `);
+  return result.rows[0]?.last_refresh_timestamp || null;
+};
+
 // Function to format top 5 countries for response
 const formatTop5CountriesForResponse = (countries) => {
   return countries.map((country) => ({
@@ -170,145 +190,190 @@ const formatTop5CountriesForResponse = (countries) => {
   }));
 };
 
-// Function to log refresh metadata
-const logRefreshMetadata = async (totalCountries, duration, status) => {
-  await pool.query(
-    `INSERT INTO refresh_metadata (total_countries, last_refresh_timestamp, refresh_duration_seconds, status)
-     VALUES ($1, CURRENT_TIMESTAMP, $2, $3)`,
-    [totalCountries, duration, status]
+// Function to log refresh metadata - returns the new refresh_metadata id
+// details: { fetched, failed, warnings, failedSource } for GET /status/history
+// db: a transaction's client, to record the run together with its data
+const logRefreshMetadata = async (
+  totalCountries,
+  duration,
+  status,
+  trigger = "manual",
+  changes = null,
+  details = {},
+  db = pool
+) => {
+  const result = await db.query(
+    `INSERT INTO refresh_metadata (
+       total_countries, last_refresh_timestamp, refresh_duration_seconds, status, trigger, changes,
+       countries_fetched, countries_failed, warnings, failed_source
+     )
+     VALUES ($1, CURRENT_TIMESTAMP, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      totalCountries,
+      duration,
+      status,
+      trigger,
+      changes ? JSON.stringify(changes) : null,
+      details.fetched ?? null,
+      details.failed ?? null,
+      details.warnings?.length ? JSON.stringify(details.warnings) : null,
+      details.failedSource || null,
+    ]
   );
+  return result.rows[0].id;
 };
 
-//Endpoint 1 - POST /countries/refresh
-export const refreshCountriesData = async (req, res) => {
+// Validation errors as stored and returned: [{ name, errors }]
+const formatValidationWarnings = (validationErrors) =>
+  validationErrors.map((error) => ({
+    name: error.country_name,
+    errors: error.errors,
+  }));
+
+// Runs a full countries refresh in the background, reporting into the job
+const runCountriesRefresh = async (job) => {
   const startTime = Date.now();
 
   try {
-    await logger.info("Starting countries data refresh");
+    await logger.info("Starting countries data refresh", { job_id: job.id });
 
     let countries = [];
     let exchangeRates = {};
 
-    // 1. Fetch countries data with retry
+    // Milliseconds spent in each phase, reported with the result
+    const timings = {};
+
+    // Resolve the configured data providers (COUNTRIES_PROVIDER / RATES_PROVIDER)
+    // and GDP model (GDP_MODEL)
+    let countriesProvider;
+    let ratesProvider;
+    let gdpModel;
     try {
-      await logger.info("Fetching countries data from external APIs");
-
-      let countriesResponse;
-      try {
-        await logger.debug("Attempting REST Countries v2 API");
-        countriesResponse = await fetchWithRetry(
-          "https://restcountries.com/v3.1/all?fields=name,capital,region,population,flags,currencies",
-          { timeout: 45000 },
-          3
-        );
+      countriesProvider = getCountriesProvider();
+      ratesProvider = getRatesProvider();
+      gdpModel = getGdpModel();
+    } catch (error) {
+      await logger.error("Invalid refresh configuration", {
+        error: error.message,
+      });
 
-        // Transform v3 response to match v2 format
-        countries = countriesResponse.data.map((country) => ({
-          name: country.name?.common || country.name,
-          capital: country.capital?.[0] || null,
-          region: country.region,
-          population: country.population,
-          flag: country.flags?.svg || country.flags?.png,
-          currencies: country.currencies || {},
-        }));
-
-        await logger.success(
-          `Fetched ${countries.length} countries from v3 API`
-        );
-      } catch (v3Error) {
-        await logger.warn("v3 API failed, trying v2 API", {
-          error: v3Error.message,
-        });
+      failJob(job, {
+        error: "Invalid refresh configuration",
+        details: error.message,
+      });
+      return;
+    }
 
-        // Fallback to v2 API
-        countriesResponse = await fetchWithRetry(
-          "https://restcountries.com/v2/all?fields=name,capital,region,population,flag,currencies",
-          { timeout: 45000 },
-          3
-        );
-        countries = countriesResponse.data;
-        await logger.success(
-          `Fetched ${countries.length} countries from v2 API`
-        );
-      }
+    // 1. Fetch countries data with retry
+    setJobPhase(job, REFRESH_PHASES.FETCHING_COUNTRIES);
+    try {
+      await logger.info("Fetching countries data", {
+        provider: countriesProvider.name,
+      });
+      countries = await countriesProvider.fetchCountries();
     } catch (error) {
       // Countries API failure
       await logger.error("Failed to fetch countries data", {
+        provider: countriesProvider.name,
         error: error.message,
         duration: Math.floor((Date.now() - startTime) / 1000),
       });
 
       const duration = Math.floor((Date.now() - startTime) / 1000);
 
-      await logRefreshMetadata(
+      job.refresh_id = await logRefreshMetadata(
         0,
         duration,
-        "failed - countries API unavailable"
+        "failed - countries API unavailable",
+        job.trigger,
+        null,
+        { failedSource: countriesProvider.source }
       );
 
-      return res.status(503).json({
+      failJob(job, {
         error: "External data source unavailable",
-        details: "Could not fetch data from restcountries.com",
+        details: `Could not fetch data from ${countriesProvider.source}`,
       });
+      return;
     }
 
+    job.counts.fetched = countries.length;
+    timings.fetch_countries_ms = Date.now() - startTime;
+
     // 2. Fetch exchange rates - this runs always, irrespective of currency availability
+    setJobPhase(job, REFRESH_PHASES.FETCHING_EXCHANGE_RATES);
+    const ratesStartTime = Date.now();
     try {
-      await logger.info("Fetching exchange rates from external API");
-      const exchangeResponse = await fetchWithRetry(
-        "https://open.er-api.com/v6/latest/USD",
-        { timeout: 30000 },
-        8
-      );
-
-      if (
-        !exchangeResponse.data ||
-        !exchangeResponse.data.rates ||
-        typeof exchangeResponse.data.rates !== "object"
-      ) {
-        throw new Error("Invalid exchange rates API response structure");
-      }
-
-      exchangeRates = exchangeResponse.data.rates;
-      //const rateCount = Object.keys(exchangeRates).length;
-
-      // if (rateCount < 50) {
-      //   throw new Error(
-      //     `Insufficient exchange rates received: only ${rateCount} currencies`
-      //   );
-      // }
-
-      // await logger.success(`Fetched ${rateCount} exchange rates from API`);
+      await logger.info("Fetching exchange rates", {
+        provider: ratesProvider.name,
+      });
+      exchangeRates = await ratesProvider.fetchRates();
     } catch (error) {
       await logger.error("Failed to fetch exchange rates", {
+        provider: ratesProvider.name,
         error: error.message,
-        retries: 8,
-        timeout: 30000,
       });
 
       const duration = Math.floor((Date.now() - startTime) / 1000);
 
-      await logRefreshMetadata(
+      job.refresh_id = await logRefreshMetadata(
         0,
         duration,
-        "failed - exchange rates API unavailable"
+        "failed - exchange rates API unavailable",
+        job.trigger,
+        null,
+        { fetched: countries.length, failedSource: ratesProvider.source }
       );
 
-      return res.status(503).json({
+      failJob(job, {
         error: "External data source unavailable",
-        details: "Could not fetch data from open.er-api.com",
+        details: `Could not fetch data from ${ratesProvider.source}`,
       });
+      return;
     }
 
+    timings.fetch_rates_ms = Date.now() - ratesStartTime;
+
     // 3. Database operations will only proceed if BOTH APIs succeed
+    setJobPhase(job, REFRESH_PHASES.SAVING);
     let processedCount = 0;
+    let suppressedCount = 0;
     let validationErrors = [];
+    let processedCountries = [];
+    let changeSet;
+    let duration;
+    const saveStartTime = Date.now();
     const client = await pool.connect();
 
     try {
       await client.query("BEGIN");
 
-      // Save countries to database first
+      // Current state of the table, to diff against what this refresh writes
+      const existingResult = await client.query(`
+        SELECT c.name, c.capital, c.region, c.population, c.currency_code,
+               c.exchange_rate, c.estimated_gdp, c.flag_url,
+               COALESCE(
+                 array_agg(cc.currency_code) FILTER (WHERE cc.currency_code IS NOT NULL),
+                 '{}'
+               ) AS currencies
+        FROM countries c
+        LEFT JOIN country_currencies cc ON cc.country_id = c.id
+        GROUP BY c.id
+      `);
+
+      // Manual overrides to re-apply over the upstream values
+      const overridesResult = await client.query(
+        "SELECT country_name, field, value FROM country_overrides"
+      );
+      const overridesByName = groupOverridesByCountry(overridesResult.rows);
+      const overrideUpstreamValues = [];
+
+      // Build every row in memory first, then write each table with one
+      // statement. Upstream duplicates collapse to the last record, as the
+      // per-row upserts used to.
+      const rowsByName = new Map();
+
       for (let i = 0; i < countries.length; i++) {
         const country = countries[i];
 
@@ -321,24 +386,66 @@ export const refreshCountriesData = async (req, res) => {
             country_name: country.name || "Unknown",
             errors: validation.errors,
           });
+          job.counts.failed = validationErrors.length;
           continue;
         }
 
+        const currencies = extractCurrencies(country.currencies);
         const currencyCode = extractCurrencyCode(country.currencies);
+
+        // Upstream values, with any manual overrides laid on top
+        const upstream = {
+          capital: country.capital || null,
+          region: country.region || null,
+          population: country.population || 0,
+          currency_code: currencyCode,
+          exchange_rate: currencyCode
+            ? exchangeRates[currencyCode] || null
+            : null,
+          flag_url: country.flag || null,
+        };
+        const countryOverrides = overridesByName.get(
+          country.name.toLowerCase()
+        );
+        const effective = applyOverrides(upstream, countryOverrides);
+
+        if (countryOverrides) {
+          // An overridden currency takes that currency's rate unless the rate is overridden too
+          if (
+            "currency_code" in countryOverrides &&
+            !("exchange_rate" in countryOverrides)
+          ) {
+            effective.exchange_rate = effective.currency_code
+              ? exchangeRates[effective.currency_code] || null
+              : null;
+          }
+
+          Object.keys(countryOverrides).forEach((field) => {
+            overrideUpstreamValues.push({
+              name: country.name,
+              field,
+              value: upstream[field] ?? null,
+            });
+          });
+        }
+
         let exchangeRate = null;
         let estimatedGDP = null;
 
-        if (currencyCode) {
-          exchangeRate = exchangeRates[currencyCode] || null;
+        if (effective.currency_code) {
+          exchangeRate = effective.exchange_rate;
 
           if (exchangeRate && exchangeRate > 0) {
-            const gdpMultiplier = calculate_GDP_Factor();
-            estimatedGDP = (country.population * gdpMultiplier) / exchangeRate;
+            estimatedGDP = estimateGDP(
+              gdpModel,
+              { name: country.name, population: effective.population },
+              exchangeRate
+            );
           } else {
             exchangeRate = null;
             estimatedGDP = null;
             await logger.warn(
-              `Currency ${currencyCode} not found in exchange rates for ${country.name}`
+              `Currency ${effective.currency_code} not found in exchange rates for ${country.name}`
             );
           }
         } else {
@@ -346,111 +453,243 @@ export const refreshCountriesData = async (req, res) => {
           estimatedGDP = 0;
         }
 
-        const query = `
-          INSERT INTO countries (
-            name, capital, region, population, currency_code, 
-            exchange_rate, estimated_gdp, flag_url, last_refreshed_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
-          ON CONFLICT (lower(name))
-          DO UPDATE SET 
-            capital = EXCLUDED.capital,
-            region = EXCLUDED.region,
-            population = EXCLUDED.population,
-            currency_code = EXCLUDED.currency_code,
-            exchange_rate = EXCLUDED.exchange_rate,
-            estimated_gdp = EXCLUDED.estimated_gdp,
-            flag_url = EXCLUDED.flag_url,
-            last_refreshed_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-        `;
-
-        const values = [
-          country.name,
-          country.capital || null,
-          country.region || null,
-          country.population || 0,
-          currencyCode,
-          exchangeRate,
-          estimatedGDP,
-          country.flag || null,
-        ];
-
-        await client.query(query, values);
-        processedCount++;
+        // Keep the overridden currency first so it is the primary one
+        let countryCurrencies = currencies;
+        if (
+          effective.currency_code &&
+          effective.currency_code !== currencyCode
+        ) {
+          countryCurrencies = [
+            currencies.find(
+              (currency) => currency.code === effective.currency_code
+            ) || { code: effective.currency_code, name: null, symbol: null },
+            ...currencies.filter(
+              (currency) => currency.code !== effective.currency_code
+            ),
+          ];
+        }
+
+        rowsByName.set(country.name.toLowerCase(), {
+          name: country.name,
+          capital: effective.capital,
+          region: effective.region,
+          population: effective.population,
+          currency_code: effective.currency_code,
+          exchange_rate: exchangeRate,
+          estimated_gdp: estimatedGDP,
+          flag_url: effective.flag_url,
+          currencies: countryCurrencies,
+          cca2: country.cca2 || null,
+          cca3: country.cca3 || null,
+          borders: country.borders ?? null,
+          languages: country.languages ?? null,
+          timezones: country.timezones ?? null,
+          latitude: country.latlng ? country.latlng[0] : null,
+          longitude: country.latlng ? country.latlng[1] : null,
+        });
       }
 
-      if (validationErrors.length > 0 && processedCount === 0) {
+      const rows = [...rowsByName.values()];
+
+      if (validationErrors.length > 0 && rows.length === 0) {
         await client.query("ROLLBACK");
-        return res.status(400).json({
+        job.refresh_id = await logRefreshMetadata(
+          0,
+          Math.floor((Date.now() - startTime) / 1000),
+          "failed - validation",
+          job.trigger,
+          null,
+          {
+            fetched: countries.length,
+            failed: validationErrors.length,
+            warnings: formatValidationWarnings(validationErrors),
+          }
+        );
+        failJob(job, {
           error: "Validation failed",
         });
+        return;
       }
 
-      // Summary image generation (after successful processing)
-      await generateSummaryImage();
-
-      // Update global refresh timestamp
-      const duration = Math.floor((Date.now() - startTime) / 1000);
-      const status = "completed";
-
-      await logRefreshMetadata(processedCount, duration, status);
+      // One multi-row upsert. deleted_at is left alone, so soft-deleted
+      // countries stay hidden (with up-to-date data) until they are restored.
+      // Details the source did not send (null) keep their stored values.
+      const toJson = (value) => (value === null ? null : JSON.stringify(value));
+      const upsertResult = await client.query(
+        `
+        INSERT INTO countries (
+          name, capital, region, population, currency_code,
+          exchange_rate, estimated_gdp, gdp_model_version, flag_url,
+          cca2, cca3, borders, languages, timezones, latitude, longitude, last_refreshed_at
+        )
+        SELECT name, capital, region, population, currency_code,
+               exchange_rate, estimated_gdp, $8::varchar, flag_url,
+               cca2, cca3, borders, languages, timezones, latitude, longitude, CURRENT_TIMESTAMP
+        FROM UNNEST(
+          $1::varchar[], $2::varchar[], $3::varchar[], $4::bigint[],
+          $5::varchar[], $6::numeric[], $7::numeric[], $9::text[],
+          $10::varchar[], $11::varchar[], $12::jsonb[], $13::jsonb[], $14::jsonb[],
+          $15::numeric[], $16::numeric[]
+        ) AS incoming(
+          name, capital, region, population, currency_code, exchange_rate, estimated_gdp, flag_url,
+          cca2, cca3, borders, languages, timezones, latitude, longitude
+        )
+        ON CONFLICT (lower(name))
+        DO UPDATE SET
+          capital = EXCLUDED.capital,
+          region = EXCLUDED.region,
+          population = EXCLUDED.population,
+          currency_code = EXCLUDED.currency_code,
+          exchange_rate = EXCLUDED.exchange_rate,
+          estimated_gdp = EXCLUDED.estimated_gdp,
+          gdp_model_version = EXCLUDED.gdp_model_version,
+          flag_url = EXCLUDED.flag_url,
+          cca2 = COALESCE(EXCLUDED.cca2, countries.cca2),
+          cca3 = COALESCE(EXCLUDED.cca3, countries.cca3),
+          borders = COALESCE(EXCLUDED.borders, countries.borders),
+          languages = COALESCE(EXCLUDED.languages, countries.languages),
+          timezones = COALESCE(EXCLUDED.timezones, countries.timezones),
+          latitude = COALESCE(EXCLUDED.latitude, countries.latitude),
+          longitude = COALESCE(EXCLUDED.longitude, countries.longitude),
+          last_refreshed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING id, name, deleted_at IS NOT NULL AS is_deleted
+        `,
+        [
+          rows.map((row) => row.name),
+          rows.map((row) => row.capital),
+          rows.map((row) => row.region),
+          rows.map((row) => row.population),
+          rows.map((row) => row.currency_code),
+          rows.map((row) => row.exchange_rate),
+          rows.map((row) => row.estimated_gdp),
+          gdpModel.version,
+          rows.map((row) => row.flag_url),
+          rows.map((row) => row.cca2),
+          rows.map((row) => row.cca3),
+          rows.map((row) => toJson(row.borders)),
+          rows.map((row) => toJson(row.languages)),
+          rows.map((row) => toJson(row.timezones)),
+          rows.map((row) => row.latitude),
+          rows.map((row) => row.longitude),
+        ]
+      );
 
-      await client.query("COMMIT");
+      const idsByName = new Map(
+        upsertResult.rows.map((row) => [row.name.toLowerCase(), row.id])
+      );
+      suppressedCount = upsertResult.rows.filter(
+        (row) => row.is_deleted
+      ).length;
+      processedCount = rows.length;
+      job.counts.processed = processedCount;
+
+      // Replace every refreshed country's currency list with the one from
+      // upstream. The rates are always the upstream ones: rows for the same
+      // currency code are shared by /convert and /currencies, so an
+      // exchange_rate override only applies to the country itself.
+      const currencyRows = rows.flatMap((row) =>
+        row.currencies.map((currency, j) => {
+          const currencyRate = exchangeRates[currency.code] || null;
+          return {
+            country_id: idsByName.get(row.name.toLowerCase()),
+            code: currency.code,
+            name: currency.name,
+            symbol: currency.symbol,
+            exchange_rate:
+              currencyRate && currencyRate > 0 ? currencyRate : null,
+            is_primary: j === 0,
+          };
+        })
+      );
 
-      // Get top 5 countries from the successfully processed countries only
-      const top5Countries = await getTop5CountriesByGDP();
+      await client.query(
+        "DELETE FROM country_currencies WHERE country_id = ANY($1::int[])",
+        [[...idsByName.values()]]
+      );
+      await client.query(
+        `
+        INSERT INTO country_currencies (
+          country_id, currency_code, currency_name, currency_symbol, exchange_rate, is_primary
+        )
+        SELECT * FROM UNNEST(
+          $1::int[], $2::varchar[], $3::varchar[], $4::varchar[], $5::numeric[], $6::boolean[]
+        )
+        `,
+        [
+          currencyRows.map((row) => row.country_id),
+          currencyRows.map((row) => row.code),
+          currencyRows.map((row) => row.name),
+          currencyRows.map((row) => row.symbol),
+          currencyRows.map((row) => row.exchange_rate),
+          currencyRows.map((row) => row.is_primary),
+        ]
+      );
 
-      await logger.success(
-        `Successfully processed ${processedCount} countries in ${duration}s`,
-        {
-          total_fetched: countries.length,
-          processed: processedCount,
-          failed: validationErrors.length,
-          duration_seconds: duration,
-          total_in_db: processedCount,
-        }
+      // Keep a dated snapshot so the rate/GDP history is not lost on upsert
+      await client.query(
+        `
+        INSERT INTO country_rate_history (
+          country_name, currency_code, exchange_rate, estimated_gdp, gdp_model_version, recorded_at
+        )
+        SELECT country_name, currency_code, exchange_rate, estimated_gdp, $5::varchar, CURRENT_TIMESTAMP
+        FROM UNNEST($1::varchar[], $2::varchar[], $3::numeric[], $4::numeric[])
+          AS snapshot(country_name, currency_code, exchange_rate, estimated_gdp)
+        `,
+        [
+          rows.map((row) => row.name),
+          rows.map((row) => row.currency_code),
+          rows.map((row) => row.exchange_rate),
+          rows.map((row) => row.estimated_gdp),
+          gdpModel.version,
+        ]
       );
 
-      // Log failed countries for debugging
-      if (validationErrors.length > 0) {
-        await logger.warn(
-          `${validationErrors.length} countries failed validation`,
-          {
-            failed_countries: validationErrors.map((error) => ({
-              name: error.country_name,
-              errors: error.errors,
-            })),
-          }
+      // Remember the latest upstream value behind each override, so clearing
+      // an override can restore it
+      if (overrideUpstreamValues.length > 0) {
+        await client.query(
+          `
+          UPDATE country_overrides o
+          SET upstream_value = v.value::jsonb
+          FROM UNNEST($1::varchar[], $2::varchar[], $3::text[]) AS v(name, field, value)
+          WHERE LOWER(o.country_name) = LOWER(v.name) AND o.field = v.field
+          `,
+          [
+            overrideUpstreamValues.map((entry) => entry.name),
+            overrideUpstreamValues.map((entry) => entry.field),
+            overrideUpstreamValues.map((entry) => JSON.stringify(entry.value)),
+          ]
         );
       }
 
-      // Build response using successfully processed count
-      const response = {
-        status: "success",
-        message: "Countries data refreshed successfully",
-        data: {
-          total_countries: processedCount, // Use processedCount (250) instead of actualTotalCountries
-          countries_processed_this_refresh: processedCount,
-          duration_seconds: duration,
-          timestamp: new Date().toISOString(),
-          top_5_countries_by_gdp: formatTop5CountriesForResponse(top5Countries),
+      processedCountries = rows.map((row) => ({
+        ...row,
+        currencies: row.currencies.map((currency) => currency.code),
+      }));
+      changeSet = buildChangeSet(existingResult.rows, processedCountries);
+
+      // Recorded in the same transaction, so committed data always has its
+      // "completed" run and nothing after the commit can mark it failed
+      duration = Math.floor((Date.now() - startTime) / 1000);
+      job.refresh_id = await logRefreshMetadata(
+        processedCount - suppressedCount,
+        duration,
+        "completed",
+        job.trigger,
+        changeSet,
+        {
+          fetched: countries.length,
+          failed: validationErrors.length,
+          warnings: formatValidationWarnings(validationErrors),
         },
-      };
-
-      // Validation warnings (in case any countries are skipped)
-      if (validationErrors.length > 0) {
-        response.warnings = {
-          type: "validation_errors",
-          message: `${validationErrors.length} countries failed validation and were skipped`,
-          failed_countries: validationErrors.map((error) => ({
-            name: error.country_name,
-            errors: error.errors,
-          })),
-          details: validationErrors.slice(0, 3),
-        };
-      }
+        client
+      );
 
-      res.status(200).json(response);
+      await client.query("COMMIT");
+      // Rendered chart variants were built from the previous data, whether
+      // or not the summary image renders below
+      clearImageVariants();
     } catch (error) {
       await client.query("ROLLBACK");
       await logger.error(
@@ -464,13 +703,345 @@ export const refreshCountriesData = async (req, res) => {
     } finally {
       client.release();
     }
+
+    timings.save_ms = Date.now() - saveStartTime;
+
+    const visibleCount = processedCount - suppressedCount;
+
+    // 4. Summary image, rendered from the committed data. The data is
+    // already saved, so a rendering failure is reported but not fatal
+    setJobPhase(job, REFRESH_PHASES.GENERATING_IMAGE);
+    const imageStartTime = Date.now();
+    const imageResult = await generateSummaryImage();
+    const imageError = imageResult.success ? null : imageResult.error;
+    timings.image_ms = Date.now() - imageStartTime;
+    timings.total_ms = Date.now() - startTime;
+
+    // Get top 5 countries from the successfully processed countries only.
+    // Best effort too - the refresh itself has already been recorded
+    let top5Countries = [];
+    try {
+      top5Countries = await getTop5CountriesByGDP();
+    } catch (error) {
+      await logger.error("Could not load top 5 countries after refresh", {
+        error: error.message,
+      });
+    }
+
+    await logger.success(
+      `Successfully processed ${processedCount} countries in ${duration}s`,
+      {
+        total_fetched: countries.length,
+        processed: processedCount,
+        failed: validationErrors.length,
+        duration_seconds: duration,
+        timings,
+        total_in_db: visibleCount,
+        suppressed_deleted: suppressedCount,
+        changes: changeSet.summary,
+      }
+    );
+
+    // Log failed countries for debugging
+    if (validationErrors.length > 0) {
+      await logger.warn(
+        `${validationErrors.length} countries failed validation`,
+        {
+          failed_countries: formatValidationWarnings(validationErrors),
+        }
+      );
+    }
+
+    // Build response using successfully processed count
+    const response = {
+      status: "success",
+      message: "Countries data refreshed successfully",
+      data: {
+        total_countries: visibleCount, // Processed countries, less the soft-deleted ones
+        countries_processed_this_refresh: processedCount,
+        deleted_countries_suppressed: suppressedCount,
+        refresh_id: job.refresh_id,
+        changes: changeSet.summary,
+        duration_seconds: duration,
+        timings,
+        timestamp: new Date().toISOString(),
+        top_5_countries_by_gdp: formatTop5CountriesForResponse(top5Countries),
+      },
+    };
+
+    // Validation warnings (in case any countries are skipped)
+    if (validationErrors.length > 0) {
+      response.warnings = {
+        type: "validation_errors",
+        message: `${validationErrors.length} countries failed validation and were skipped`,
+        failed_countries: formatValidationWarnings(validationErrors),
+        details: validationErrors.slice(0, 3),
+      };
+    }
+
+    if (imageError) {
+      response.image_warning = {
+        message: "Summary image could not be generated",
+        details: imageError,
+      };
+    }
+
+    completeJob(job, response);
   } catch (error) {
     await logger.error("Critical error in refreshCountriesData", {
+      job_id: job.id,
       error: error.message,
       stack: error.stack,
       duration: Math.floor((Date.now() - startTime) / 1000),
     });
 
+    // Best effort - the database may be what failed
+    try {
+      job.refresh_id = await logRefreshMetadata(
+        0,
+        Math.floor((Date.now() - startTime) / 1000),
+        "failed - internal error",
+        job.trigger,
+        null,
+        { fetched: job.counts.fetched }
+      );
+    } catch (metadataError) {
+      await logger.error("Could not record failed refresh", {
+        error: metadataError.message,
+      });
+    }
+
+    failJob(job, {
+      error: "Internal server error",
+    });
+  }
+};
+
+// Start a refresh job, or hand back the one already running
+export const startRefreshJob = (trigger = "manual") => {
+  const activeJob = getActiveJob();
+  if (activeJob) {
+    return { job: activeJob, alreadyRunning: true };
+  }
+
+  const job = createJob(trigger);
+
+  // Not awaited - the job reports its own progress and errors
+  runCountriesRefresh(job).then(() => {
+    if (job.status === "failed") {
+      notifyRefreshFailed(job);
+    }
+  });
+
+  return { job, alreadyRunning: false };
+};
+
+// Recompute estimated_gdp from the stored population and exchange rate
+// with the current GDP model, without fetching the source data again
+const recomputeCountriesGDP = async (req, res) => {
+  const startTime = Date.now();
+
+  const activeJob = getActiveJob();
+  if (activeJob) {
+    return res.status(409).json({
+      error: "A countries refresh is already running",
+      job_id: activeJob.id,
+    });
+  }
+
+  let gdpModel;
+  try {
+    gdpModel = getGdpModel();
+  } catch (error) {
+    return res.status(500).json({
+      error: "Invalid refresh configuration",
+      details: error.message,
+    });
+  }
+
+  // Registered as the active job, so a refresh cannot start (and overwrite
+  // the estimates) until the recompute is done
+  const job = createJob("recompute_gdp");
+  setJobPhase(job, REFRESH_PHASES.RECOMPUTING_GDP);
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT id, name, population, currency_code, exchange_rate FROM countries"
+    );
+
+    // Same rules as the refresh: no currency -> 0, no rate -> null
+    const estimates = result.rows.map((row) =>
+      row.currency_code
+        ? estimateGDP(
+            gdpModel,
+            { name: row.name, population: Number(row.population) },
+            parseFloat(row.exchange_rate)
+          )
+        : 0
+    );
+
+    // One UPDATE for every row, as in the refresh
+    await client.query(
+      `UPDATE countries c
+       SET estimated_gdp = v.estimated_gdp, gdp_model_version = $3, updated_at = CURRENT_TIMESTAMP
+       FROM UNNEST($1::int[], $2::numeric[]) AS v(id, estimated_gdp)
+       WHERE c.id = v.id`,
+      [result.rows.map((row) => row.id), estimates, gdpModel.version]
+    );
+
+    await client.query("COMMIT");
+    clearImageVariants();
+
+    await generateSummaryImage();
+
+    const top5Countries = await getTop5CountriesByGDP();
+    const duration = Math.floor((Date.now() - startTime) / 1000);
+
+    await logger.success(
+      `Recomputed GDP estimates for ${result.rows.length} countries`,
+      {
+        gdp_model_version: gdpModel.version,
+        duration_seconds: duration,
+      }
+    );
+
+    const response = {
+      status: "success",
+      message: "GDP estimates recomputed successfully",
+      data: {
+        job_id: job.id,
+        countries_updated: result.rows.length,
+        gdp_model_version: gdpModel.version,
+        duration_seconds: duration,
+        timestamp: new Date().toISOString(),
+        top_5_countries_by_gdp: formatTop5CountriesForResponse(top5Countries),
+      },
+    };
+
+    completeJob(job, response);
+    res.status(200).json(response);
+  } catch (error) {
+    // A broken connection must not stop the job from being marked failed
+    await client?.query("ROLLBACK").catch(() => {});
+    await logger.error("Failed to recompute GDP estimates", {
+      error: error.message,
+    });
+
+    failJob(job, {
+      error: "Internal server error",
+    });
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  } finally {
+    client?.release();
+  }
+};
+
+//Endpoint 1 - POST /countries/refresh - Queue a background refresh
+// ?recompute_gdp=true only recomputes GDP estimates from stored data
+export const refreshCountriesData = async (req, res) => {
+  if (req.query.recompute_gdp === "true") {
+    return recomputeCountriesGDP(req, res);
+  }
+
+  try {
+    const { job, alreadyRunning } = startRefreshJob("manual");
+
+    res.setHeader("Location", `/countries/refresh/${job.id}`);
+    res.status(202).json({
+      status: "accepted",
+      message: alreadyRunning
+        ? "A countries refresh is already running"
+        : "Countries refresh started",
+      data: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Error starting refresh:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 9: GET /countries/refresh/:jobId - Refresh job progress
+export const getRefreshJob = async (req, res) => {
+  try {
+    const job = getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: "Refresh job not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Error fetching refresh job:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 10: GET /countries/refresh/:id/changes - Change set of a refresh
+// :id is a refresh_metadata id or a refresh job id
+export const getRefreshChanges = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    let refreshId = null;
+    if (/^\d+$/.test(id)) {
+      refreshId = parseInt(id);
+    } else {
+      refreshId = getJob(id)?.refresh_id || null;
+    }
+
+    const result = refreshId
+      ? await pool.query(
+          `
+          SELECT id, status, trigger, last_refresh_timestamp, changes
+          FROM refresh_metadata
+          WHERE id = $1
+          `,
+          [refreshId]
+        )
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: "Refresh not found",
+      });
+    }
+
+    const refresh = result.rows[0];
+
+    if (!refresh.changes) {
+      return res.status(404).json({
+        error: "No change set recorded for this refresh",
+        refresh_status: refresh.status,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        refresh_id: refresh.id,
+        refresh_status: refresh.status,
+        trigger: refresh.trigger,
+        refreshed_at: refresh.last_refresh_timestamp,
+        ...refresh.changes,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching refresh changes:", error);
     res.status(500).json({
       error: "Internal server error",
     });
@@ -478,6 +1049,7 @@ export const refreshCountriesData = async (req, res) => {
 };
 
 // Function to generate summary image
+// Never throws: returns { success: true } or { success: false, error }
 async function generateSummaryImage() {
   try {
     // 1. Create cache directory if it doesn't exist
@@ -509,41 +1081,13 @@ async function generateSummaryImage() {
     const totalCountries = processedCountResult.rows[0]?.total_countries || 0;
 
     // Create SVG content using the processed count
-    const svg = `
-      <svg width="800" height="600" xmlns="http://www.w3.org/2000/svg">
-        <rect width="800" height="600" fill="#f0f8ff"/>
-        <text x="400" y="50" text-anchor="middle" font-size="28" font-family="Arial" fill="#2c3e50">
-          Countries Summary Report
-        </text>
-        <text x="50" y="100" font-size="20" font-family="Arial" fill="#34495e">
-          Total Countries: ${totalCountries}
-        </text>
-        <text x="50" y="140" font-size="18" font-family="Arial" fill="#34495e">
-          Top 5 Countries by Estimated GDP:
-        </text>
-        ${top5Countries
-          .map(
-            (country, index) => `
-          <text x="70" y="${
-            180 + index * 30
-          }" font-size="16" font-family="Arial" fill="#34495e">
-            ${index + 1}. ${country.name}: $${
-              country.estimated_gdp
-                ? Math.round(country.estimated_gdp).toLocaleString()
-                : "N/A"
-            }
-          </text>
-        `
-          )
-          .join("")}
-        <text x="50" y="400" font-size="16" font-family="Arial" fill="#34495e">
-          Last Refresh: ${new Date(lastRefreshTime).toLocaleString()}
-        </text>
-        <text x="400" y="550" text-anchor="middle" font-size="14" font-family="Arial" fill="#7f8c8d">
-          Generated: ${new Date().toISOString()}
-        </text>
-      </svg>
-    `;
+    const svg = renderSummarySvg({
+      width: 800,
+      height: 600,
+      totalCountries,
+      topCountries: top5Countries,
+      lastRefreshTime,
+    });
 
     console.log(`Generated SVG content (${svg.length} characters)`);
 
@@ -552,7 +1096,7 @@ async function generateSummaryImage() {
     console.log(`Attempting to convert SVG to PNG: ${filePath}`);
 
     try {
-      const pngBuffer = await sharp(Buffer.from(svg)).png().toBuffer();
+      const pngBuffer = await convertSvg(svg, "png");
 
       fs.writeFileSync(filePath, pngBuffer);
       console.log(`PNG file written successfully`);
@@ -573,31 +1117,322 @@ async function generateSummaryImage() {
     }
 
     await logger.success("Summary image generated successfully as PNG");
+    return { success: true };
   } catch (error) {
     console.error(`Error in generateSummaryImage:`, error);
     await logger.error("Failed to generate summary image", {
       error: error.message,
       stack: error.stack,
     });
+    return { success: false, error: error.message };
   }
 }
 
-// Endpoint 6: GET /countries/image - Serve summary image
-export const getCountriesSummaryImage = async (req, res) => {
-  try {
-    const imagePath = path.join(process.cwd(), "cache", "summary.png");
+// Cached chart variants of GET /countries/image, cleared whenever country
+// data changes (refresh, GDP recompute, overrides, delete and restore)
+const imageVariantsDir = path.join(process.cwd(), "cache", "variants");
 
-    // Return error if no image exists
-    if (!fs.existsSync(imagePath)) {
-      return res.status(404).json({
-        error: "Summary image not found",
-      });
-    }
+// Bumped on every clear. A variant is only cached if no clear happened while
+// it was rendering, so a render that read the data before a change can't
+// outlive that change's clear.
+let imageVariantsGeneration = 0;
 
-    const imageBuffer = fs.readFileSync(imagePath);
-    res.setHeader("Content-Type", "image/png");
-    res.setHeader("Content-Length", imageBuffer.length);
-    res.status(200).send(imageBuffer);
+const clearImageVariants = () => {
+  imageVariantsGeneration++;
+  try {
+    fs.rmSync(imageVariantsDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error("Error clearing image variants:", error);
+  }
+};
+
+const IMAGE_CHARTS = ["summary", "bar", "pie", "histogram"];
+const IMAGE_METRICS = {
+  gdp: "estimated_gdp",
+  population: "population",
+};
+
+// Validate GET /countries/image query options, applying defaults
+const parseImageOptions = (query) => {
+  const errors = {};
+
+  // A repeated parameter arrives as an array - only single values are valid
+  const single = (name, defaultValue) => {
+    const value = query[name];
+    if (value === undefined || value === "") {
+      return defaultValue;
+    }
+    if (typeof value !== "string") {
+      errors[name] = "must be a single value";
+      return defaultValue;
+    }
+    return value;
+  };
+
+  const options = {
+    format: single("format", "png").toLowerCase(),
+    chart: single("chart", "summary").toLowerCase(),
+    metric: single("metric", "gdp").toLowerCase(),
+    region: single("region", null),
+    limit: single("limit", undefined),
+    width: single("width", undefined),
+    height: single("height", undefined),
+  };
+
+  if (!IMAGE_CONTENT_TYPES[options.format]) {
+    errors.format = `must be one of ${Object.keys(IMAGE_CONTENT_TYPES).join(", ")}`;
+  }
+  if (!IMAGE_CHARTS.includes(options.chart)) {
+    errors.chart = `must be one of ${IMAGE_CHARTS.join(", ")}`;
+  }
+  if (!IMAGE_METRICS[options.metric]) {
+    errors.metric = `must be one of ${Object.keys(IMAGE_METRICS).join(", ")}`;
+  }
+
+  const parseIntOption = (name, value, defaultValue, min, max) => {
+    if (value === undefined) {
+      return defaultValue;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+      errors[name] = `must be an integer between ${min} and ${max}`;
+      return defaultValue;
+    }
+    return parsed;
+  };
+
+  // limit is the top-N for summary/bar/pie and the bin count for histogram
+  options.limit = parseIntOption(
+    "limit",
+    options.limit,
+    options.chart === "histogram" ? 10 : 5,
+    1,
+    50
+  );
+  options.width = parseIntOption("width", options.width, 800, 200, 2000);
+  options.height = parseIntOption("height", options.height, 600, 200, 2000);
+
+  return { options, errors };
+};
+
+// Build the SVG for a chart variant from the current countries data
+const renderImageVariantSvg = async (options) => {
+  const metricColumn = IMAGE_METRICS[options.metric];
+  const { width, height, limit, metric, region } = options;
+
+  // Soft-deleted countries are left out of every chart
+  const params = [];
+  let filterSql = " AND deleted_at IS NULL";
+  if (region) {
+    params.push(region);
+    filterSql += ` AND LOWER(region) = LOWER($${params.length})`;
+  }
+
+  if (options.chart === "summary") {
+    const [topResult, countResult, lastRefreshTime] = await Promise.all([
+      pool.query(
+        `
+        SELECT name, estimated_gdp
+        FROM countries
+        WHERE estimated_gdp IS NOT NULL${filterSql}
+        ORDER BY estimated_gdp DESC
+        LIMIT ${limit}
+        `,
+        params
+      ),
+      pool.query(
+        `SELECT COUNT(*) AS total FROM countries WHERE 1=1${filterSql}`,
+        params
+      ),
+      getLastRefreshTimestamp(),
+    ]);
+
+    return renderSummarySvg({
+      width,
+      height,
+      totalCountries: parseInt(countResult.rows[0].total),
+      topCountries: topResult.rows,
+      lastRefreshTime,
+    });
+  }
+
+  if (options.chart === "bar") {
+    const result = await pool.query(
+      `
+      SELECT name AS label, ${metricColumn} AS value
+      FROM countries
+      WHERE ${metricColumn} IS NOT NULL${filterSql}
+      ORDER BY ${metricColumn} DESC
+      LIMIT ${limit}
+      `,
+      params
+    );
+
+    return renderBarChartSvg({
+      width,
+      height,
+      metric,
+      items: result.rows.map((row) => ({
+        label: row.label,
+        value: Number(row.value),
+      })),
+    });
+  }
+
+  if (options.chart === "pie") {
+    // Slices are regions, or the countries of one region when filtered
+    const result = region
+      ? await pool.query(
+          `
+          SELECT name AS label, ${metricColumn} AS value
+          FROM countries
+          WHERE ${metricColumn} > 0${filterSql}
+          ORDER BY ${metricColumn} DESC
+          `,
+          params
+        )
+      : await pool.query(`
+          SELECT COALESCE(region, 'Unknown') AS label, SUM(${metricColumn}) AS value
+          FROM countries
+          WHERE ${metricColumn} > 0${filterSql}
+          GROUP BY COALESCE(region, 'Unknown')
+          ORDER BY value DESC
+        `);
+
+    const items = result.rows.map((row) => ({
+      label: row.label,
+      value: Number(row.value),
+    }));
+
+    // Fold everything past the limit into one "Other" slice
+    if (items.length > limit) {
+      const other = items.splice(limit);
+      items.push({
+        label: "Other",
+        value: other.reduce((sum, item) => sum + item.value, 0),
+      });
+    }
+
+    return renderPieChartSvg({
+      width,
+      height,
+      metric,
+      title: region ? `${region}: share of ${metric}` : undefined,
+      items,
+    });
+  }
+
+  const result = await pool.query(
+    `
+    SELECT ${metricColumn} AS value
+    FROM countries
+    WHERE ${metricColumn} > 0${filterSql}
+    `,
+    params
+  );
+
+  return renderHistogramSvg({
+    width,
+    height,
+    metric,
+    bins: limit,
+    values: result.rows.map((row) => Number(row.value)),
+  });
+};
+
+// Stream a cached image with ETag / Last-Modified and 304 handling
+const sendImageFile = (res, filePath, contentType = "image/png") =>
+  new Promise((resolve) => {
+    res.sendFile(
+      filePath,
+      {
+        headers: { "Content-Type": contentType, "Cache-Control": "no-cache" },
+      },
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error("Error sending image:", error);
+          res.status(500).json({
+            error: "Internal server error",
+          });
+        }
+        resolve();
+      }
+    );
+  });
+
+// Endpoint 6: GET /countries/image - Serve summary image
+// Without options this is the summary PNG written on refresh; with
+// format/chart/limit/metric/region/width/height a variant is rendered and cached
+export const getCountriesSummaryImage = async (req, res) => {
+  try {
+    const { options, errors } = parseImageOptions(req.query);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    if (Object.keys(req.query).length === 0) {
+      const imagePath = path.join(process.cwd(), "cache", "summary.png");
+
+      // Return error if no image exists
+      if (!fs.existsSync(imagePath)) {
+        return res.status(404).json({
+          error: "Summary image not found",
+        });
+      }
+
+      // sendFile streams the file and answers If-None-Match /
+      // If-Modified-Since from its size and mtime (rewritten on refresh)
+      return sendImageFile(res, imagePath);
+    }
+
+    // One cached file per distinct set of options
+    const variantKey = crypto
+      .createHash("sha1")
+      .update(
+        JSON.stringify([
+          options.chart,
+          options.metric,
+          options.limit,
+          options.region ? options.region.toLowerCase() : null,
+          options.width,
+          options.height,
+        ])
+      )
+      .digest("hex")
+      .slice(0, 16);
+    const variantPath = path.join(
+      imageVariantsDir,
+      `${options.chart}-${variantKey}.${options.format}`
+    );
+
+    if (!fs.existsSync(variantPath)) {
+      const generation = imageVariantsGeneration;
+      const svg = await renderImageVariantSvg(options);
+      const imageBuffer = await convertSvg(svg, options.format);
+
+      // The data changed while rendering: send this image but don't cache it
+      if (generation !== imageVariantsGeneration) {
+        return res
+          .set({
+            "Content-Type": IMAGE_CONTENT_TYPES[options.format],
+            "Cache-Control": "no-cache",
+          })
+          .send(imageBuffer);
+      }
+
+      // Write to a temporary file and rename it into place, so a concurrent
+      // request never reads a half-written variant
+      const tempPath = `${variantPath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      fs.mkdirSync(imageVariantsDir, { recursive: true });
+      fs.writeFileSync(tempPath, imageBuffer);
+      fs.renameSync(tempPath, variantPath);
+    }
+
+    return sendImageFile(res, variantPath, IMAGE_CONTENT_TYPES[options.format]);
   } catch (error) {
     console.error("Error serving image:", error);
     res.status(500).json({
@@ -606,126 +1441,1332 @@ export const getCountriesSummaryImage = async (req, res) => {
   }
 };
 
-//Endpoint 2: GET /countries - Get all countries with filtering and sorting
-export const getAllCountries = async (req, res) => {
+// Columns returned by GET /countries, in the order exports use
+const COUNTRY_LIST_COLUMNS = [
+  "id",
+  "name",
+  "cca2",
+  "cca3",
+  "capital",
+  "region",
+  "population",
+  "currency_code",
+  "exchange_rate",
+  "estimated_gdp",
+  "gdp_model_version",
+  "flag_url",
+  "last_refreshed_at",
+];
+
+// List columns, plus the tombstone when deleted countries are included
+const getCountryListColumns = (query) =>
+  query.include_deleted === "true"
+    ? [...COUNTRY_LIST_COLUMNS, "deleted_at"]
+    : COUNTRY_LIST_COLUMNS;
+
+// Sorting options shared by GET /countries and GET /countries/export
+const COUNTRY_SORT_OPTIONS = {
+  name_asc: { column: "name", direction: "ASC" },
+  name_desc: { column: "name", direction: "DESC" },
+  population_asc: { column: "population", direction: "ASC" },
+  population_desc: { column: "population", direction: "DESC" },
+  gdp_asc: { column: "estimated_gdp", direction: "ASC" },
+  gdp_desc: { column: "estimated_gdp", direction: "DESC" },
+  region_asc: { column: "region", direction: "ASC" },
+  region_desc: { column: "region", direction: "DESC" },
+};
+
+// Unknown sort keys fall back to name_asc
+const resolveCountrySort = (sort) =>
+  COUNTRY_SORT_OPTIONS[sort] ? sort : "name_asc";
+
+// ORDER BY for a sort, with id as tie-breaker so the order is total.
+// NULLs go last (first when reversed to page backwards).
+const buildCountryOrderBy = ({ column, direction }, reverse = false) => {
+  const dir = (direction === "ASC") !== reverse ? "ASC" : "DESC";
+  return `${column} ${dir} NULLS ${reverse ? "FIRST" : "LAST"}, id ${dir}`;
+};
+
+// Page size for GET /countries
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+
+// Cursors are opaque base64url JSON: { sort, value, id, dir }
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (
+      !payload ||
+      !COUNTRY_SORT_OPTIONS[payload.sort] ||
+      !Number.isInteger(payload.id) ||
+      !["next", "prev"].includes(payload.dir) ||
+      payload.value === undefined
+    ) {
+      return null;
+    }
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// WHERE condition for the rows after the cursor row, in the order given by
+// buildCountryOrderBy(sortOption, reverse)
+const buildKeysetCondition = (sortOption, cursor, reverse, paramCount) => {
+  const { column } = sortOption;
+  const dir = (sortOption.direction === "ASC") !== reverse ? "ASC" : "DESC";
+  const cmp = dir === "ASC" ? ">" : "<";
+  const idParam = `$${paramCount}`;
+
+  if (cursor.value === null) {
+    // NULLs sort last going forwards, first going backwards
+    return {
+      sql: reverse
+        ? ` AND (${column} IS NOT NULL OR id ${cmp} ${idParam})`
+        : ` AND ${column} IS NULL AND id ${cmp} ${idParam}`,
+      params: [cursor.id],
+    };
+  }
+
+  const valueParam = `$${paramCount + 1}`;
+  return {
+    sql: ` AND (${column} ${cmp} ${valueParam} OR (${column} = ${valueParam} AND id ${cmp} ${idParam})${
+      reverse ? "" : ` OR ${column} IS NULL`
+    })`,
+    params: [cursor.id, cursor.value],
+  };
+};
+
+// Numeric range filters: query parameter pair -> column
+const COUNTRY_RANGE_FILTERS = {
+  population: "population",
+  gdp: "estimated_gdp",
+  rate: "exchange_rate",
+};
+
+// Split a comma-separated query value into trimmed, non-empty items
+const splitListParam = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Build and validate the WHERE conditions for the GET /countries filters.
+// Returns SQL to append after "WHERE 1=1", its parameters ($1..$n) and
+// errors keyed by the offending query parameter.
+// Soft-deleted countries are left out unless include_deleted=true.
+const buildCountryFilters = (query) => {
+  const {
+    region,
+    currency,
+    search,
+    has_currency,
+    refreshed_before,
+    refreshed_after,
+    language,
+    timezone,
+    include_deleted,
+  } = query;
+  let sql = include_deleted === "true" ? "" : " AND deleted_at IS NULL";
+  const params = [];
+  const errors = {};
+  let paramCount = 1;
+
+  // region=Africa,Europe matches any of the listed regions
+  if (region !== undefined) {
+    const regions = splitListParam(region);
+    if (regions.length === 0) {
+      errors.region = "must be a region or a comma-separated list of regions";
+    } else {
+      sql += ` AND LOWER(region) = ANY($${paramCount})`;
+      params.push(regions.map((item) => item.toLowerCase()));
+      paramCount++;
+    }
+  }
+
+  // Match any of the country's currencies, not only the primary one
+  if (currency !== undefined) {
+    const currencies = splitListParam(currency);
+    if (
+      currencies.length === 0 ||
+      !currencies.every((code) => /^[A-Za-z]{3}$/.test(code))
+    ) {
+      errors.currency =
+        "must be a 3-letter currency code or a comma-separated list of them";
+    } else {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM country_currencies cc
+        WHERE cc.country_id = countries.id
+          AND UPPER(cc.currency_code) = ANY($${paramCount})
+      )`;
+      params.push(currencies.map((code) => code.toUpperCase()));
+      paramCount++;
+    }
+  }
+
+  if (has_currency !== undefined) {
+    if (has_currency === "true") {
+      sql += " AND currency_code IS NOT NULL";
+    } else if (has_currency === "false") {
+      sql += " AND currency_code IS NULL";
+    } else {
+      errors.has_currency = "must be true or false";
+    }
+  }
+
+  // min_<name> / max_<name> ranges, both ends inclusive
+  for (const [name, column] of Object.entries(COUNTRY_RANGE_FILTERS)) {
+    const bounds = {};
+    for (const bound of ["min", "max"]) {
+      const param = `${bound}_${name}`;
+      if (query[param] === undefined) {
+        continue;
+      }
+      const value = Number(query[param]);
+      if (query[param] === "" || !Number.isFinite(value) || value < 0) {
+        errors[param] = "must be a non-negative number";
+        continue;
+      }
+      bounds[bound] = value;
+    }
+
+    if (
+      bounds.min !== undefined &&
+      bounds.max !== undefined &&
+      bounds.min > bounds.max
+    ) {
+      errors[`min_${name}`] = `must not be greater than max_${name}`;
+      continue;
+    }
+
+    if (bounds.min !== undefined) {
+      sql += ` AND ${column} >= $${paramCount}`;
+      params.push(bounds.min);
+      paramCount++;
+    }
+    if (bounds.max !== undefined) {
+      sql += ` AND ${column} <= $${paramCount}`;
+      params.push(bounds.max);
+      paramCount++;
+    }
+  }
+
+  // refreshed_after / refreshed_before bound last_refreshed_at
+  const refreshed = {};
+  for (const [param, value] of Object.entries({
+    refreshed_after,
+    refreshed_before,
+  })) {
+    if (value === undefined) {
+      continue;
+    }
+    if (isNaN(Date.parse(value))) {
+      errors[param] = "must be a valid date";
+      continue;
+    }
+    refreshed[param] = new Date(value);
+  }
+
+  if (
+    refreshed.refreshed_after &&
+    refreshed.refreshed_before &&
+    refreshed.refreshed_after > refreshed.refreshed_before
+  ) {
+    errors.refreshed_after = "must not be later than refreshed_before";
+  } else {
+    if (refreshed.refreshed_after) {
+      sql += ` AND last_refreshed_at >= $${paramCount}`;
+      params.push(refreshed.refreshed_after);
+      paramCount++;
+    }
+    if (refreshed.refreshed_before) {
+      sql += ` AND last_refreshed_at <= $${paramCount}`;
+      params.push(refreshed.refreshed_before);
+      paramCount++;
+    }
+  }
+
+  // language=fr,spa,German matches a language's ISO 639-1 or 639-3 code or its name
+  if (language !== undefined) {
+    const languages = splitListParam(language);
+    if (languages.length === 0) {
+      errors.language =
+        "must be a language code or name, or a comma-separated list of them";
+    } else {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM jsonb_array_elements(COALESCE(languages, '[]'::jsonb)) AS lang
+        WHERE LOWER(lang->>'iso639_1') = ANY($${paramCount})
+           OR LOWER(lang->>'iso639_3') = ANY($${paramCount})
+           OR LOWER(lang->>'name') = ANY($${paramCount})
+      )`;
+      params.push(languages.map((item) => item.toLowerCase()));
+      paramCount++;
+    }
+  }
+
+  // timezone=UTC+01:00 - an unencoded "+" arrives as a space
+  if (timezone !== undefined) {
+    const timezones = splitListParam(timezone).map((item) =>
+      item.replace(/ /g, "+").toUpperCase()
+    );
+    if (
+      timezones.length === 0 ||
+      !timezones.every((item) => /^UTC([+-]\d{2}:\d{2})?$/.test(item))
+    ) {
+      errors.timezone =
+        "must look like UTC, UTC+01:00 or UTC-05:30 (comma-separated for several)";
+    } else {
+      sql += ` AND timezones ?| $${paramCount}::text[]`;
+      params.push(timezones);
+      paramCount++;
+    }
+  }
+
+  if (search) {
+    sql += ` AND (LOWER(name) LIKE LOWER($${paramCount}) OR LOWER(capital) LIKE LOWER($${paramCount}))`;
+    params.push(`%${search}%`);
+    paramCount++;
+  }
+
+  return { sql, params, errors };
+};
+
+//Endpoint 2: GET /countries - Get all countries with filtering and sorting
+// Returns { total, next_cursor, prev_cursor, data }, or the bare array of
+// rows with ?envelope=false for older clients
+export const getAllCountries = async (req, res) => {
+  try {
+    const { limit, offset, cursor } = req.query;
+    const bareArray = req.query.envelope === "false";
+    const sort = resolveCountrySort(req.query.sort || "name_asc");
+    const sortOption = COUNTRY_SORT_OPTIONS[sort];
+
+    // Validate filters and pagination
+    const filters = buildCountryFilters(req.query);
+    const errors = { ...filters.errors };
+    const pageSize =
+      limit !== undefined
+        ? Number(limit)
+        : bareArray
+          ? null
+          : DEFAULT_PAGE_SIZE;
+    if (
+      pageSize !== null &&
+      (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)
+    ) {
+      errors.limit = `must be an integer between 1 and ${MAX_PAGE_SIZE}`;
+    }
+
+    const pageOffset = offset !== undefined ? Number(offset) : 0;
+    if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+      errors.offset = "must be a non-negative integer";
+    }
+
+    let decodedCursor = null;
+    if (cursor !== undefined) {
+      decodedCursor = decodeCursor(String(cursor));
+      if (!decodedCursor) {
+        errors.cursor = "is not a valid cursor";
+      } else if (decodedCursor.sort !== sort) {
+        errors.cursor = `was issued for sort=${decodedCursor.sort}`;
+      } else if (offset !== undefined) {
+        errors.offset = "cannot be combined with cursor";
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    // Nothing changed since the client's copy - skip building the page
+    // The row count catches rows removed without touching any timestamp
+    const versionResult = await pool.query(
+      "SELECT MAX(GREATEST(last_refreshed_at, updated_at)) AS last_modified, COUNT(*) AS row_count FROM countries"
+    );
+    const validators = buildValidators(
+      versionResult.rows[0].last_modified,
+      req.originalUrl,
+      Number(versionResult.rows[0].row_count)
+    );
+    if (sendIfNotModified(req, res, validators)) {
+      return;
+    }
+
+    let query = `
+      SELECT ${getCountryListColumns(req.query).join(", ")}
+      FROM countries
+      WHERE 1=1${filters.sql}
+    `;
+
+    const params = [...filters.params];
+    let paramCount = params.length + 1;
+
+    // Keyset pagination: a "prev" cursor walks the sort backwards
+    const reverse = decodedCursor?.dir === "prev";
+    if (decodedCursor) {
+      const keyset = buildKeysetCondition(
+        sortOption,
+        decodedCursor,
+        reverse,
+        paramCount
+      );
+      query += keyset.sql;
+      params.push(...keyset.params);
+      paramCount += keyset.params.length;
+    }
+
+    // Sorting
+    query += ` ORDER BY ${buildCountryOrderBy(sortOption, reverse)}`;
+
+    // Pagination - one extra row tells whether there is another page
+    if (pageSize !== null) {
+      query += ` LIMIT $${paramCount}`;
+      params.push(pageSize + 1);
+      paramCount++;
+
+      if (pageOffset > 0) {
+        query += ` OFFSET $${paramCount}`;
+        params.push(pageOffset);
+        paramCount++;
+      }
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(query, params),
+      pool.query(
+        `SELECT COUNT(*) AS total FROM countries WHERE 1=1${filters.sql}`,
+        filters.params
+      ),
+    ]);
+
+    const rows = result.rows;
+    const hasMore = pageSize !== null && rows.length > pageSize;
+    if (hasMore) {
+      rows.pop();
+    }
+    if (reverse) {
+      rows.reverse();
+    }
+
+    if (bareArray) {
+      return res.status(200).json(rows);
+    }
+
+    const hasNext = reverse ? true : hasMore;
+    const hasPrev = reverse
+      ? hasMore
+      : Boolean(decodedCursor) || pageOffset > 0;
+    const cursorFor = (row, dir) =>
+      encodeCursor({ sort, value: row[sortOption.column], id: row.id, dir });
+
+    res.status(200).json({
+      status: "success",
+      total: parseInt(countResult.rows[0].total),
+      count: rows.length,
+      limit: pageSize,
+      sort,
+      next_cursor:
+        hasNext && rows.length > 0
+          ? cursorFor(rows[rows.length - 1], "next")
+          : null,
+      prev_cursor:
+        hasPrev && rows.length > 0 ? cursorFor(rows[0], "prev") : null,
+      data: rows,
+    });
+  } catch (error) {
+    console.error("Error fetching countries:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 13: GET /countries/export - Stream countries as CSV, NDJSON or XLSX
+// Takes the same filters and sort as GET /countries
+export const exportCountries = async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: {
+        format: `must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      },
+    });
+  }
+
+  let client;
+  try {
+    const sort = resolveCountrySort(req.query.sort || "name_asc");
+    const filters = buildCountryFilters(req.query);
+    if (Object.keys(filters.errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: filters.errors,
+      });
+    }
+
+    const orderBy = buildCountryOrderBy(COUNTRY_SORT_OPTIONS[sort]);
+    const columns = getCountryListColumns(req.query);
+
+    const query = `
+      SELECT ${columns.join(", ")}
+      FROM countries
+      WHERE 1=1${filters.sql}
+      ORDER BY ${orderBy}
+    `;
+
+    // Read through a cursor so only one batch of rows is held at a time
+    client = await pool.connect();
+    const stream = client.query(
+      new QueryStream(query, filters.params, { batchSize: 200 })
+    );
+
+    // Stop reading if the client goes away mid-download
+    res.on("close", () => stream.destroy());
+
+    const fileDate = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="countries-${fileDate}.${exportFormat.extension}"`
+    );
+
+    const writer = createExportWriter(format, res, columns);
+    await writer.start();
+
+    let rowCount = 0;
+    for await (const row of stream) {
+      await writer.writeRow(row);
+      rowCount++;
+    }
+
+    await writer.end();
+    await logger.info(`Exported ${rowCount} countries as ${format}`);
+  } catch (error) {
+    console.error("Error exporting countries:", error);
+
+    // Once streaming has started the only option is to abort the response
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        error: "Internal server error",
+      });
+    }
+  } finally {
+    client?.release();
+  }
+};
+
+// Send one country with its currencies, overrides and stale-rate flag.
+// where: SQL condition on $1, e.g. "LOWER(name) = LOWER($1)"
+const sendCountryDetails = async (req, res, where, value) => {
+  const includeDeleted = req.query.include_deleted === "true";
+
+  const query = `
+    SELECT id, name, cca2, cca3, capital, region, population, currency_code, 
+           exchange_rate, estimated_gdp, gdp_model_version, flag_url,
+           borders, languages, timezones, latitude, longitude, last_refreshed_at,
+           created_at, updated_at${includeDeleted ? ", deleted_at" : ""}
+    FROM countries
+    WHERE ${where}${includeDeleted ? "" : " AND deleted_at IS NULL"}
+  `;
+
+  const result = await pool.query(query, [value]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({
+      error: "Country not found",
+    });
+  }
+
+  // Rates older than the staleness threshold should not be trusted
+  const staleness = assessStaleness(result.rows[0].last_refreshed_at);
+
+  // The row changes on refresh (last_refreshed_at) and on PATCH / delete /
+  // restore (updated_at); the stale flag can flip in between
+  const { last_refreshed_at, updated_at } = result.rows[0];
+  const validators = buildValidators(
+    new Date(Math.max(new Date(last_refreshed_at), new Date(updated_at))),
+    req.originalUrl,
+    staleness.stale
+  );
+  if (sendIfNotModified(req, res, validators)) {
+    return;
+  }
+
+  const currenciesResult = await pool.query(
+    `
+    SELECT currency_code AS code, currency_name AS name, currency_symbol AS symbol,
+           exchange_rate, is_primary
+    FROM country_currencies
+    WHERE country_id = $1
+    ORDER BY is_primary DESC, currency_code ASC
+    `,
+    [result.rows[0].id]
+  );
+
+  const overrides = await getCountryOverrides(pool, result.rows[0].name);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      ...result.rows[0],
+      rate_stale: staleness.stale,
+      rate_age_seconds: staleness.age_seconds,
+      currencies: currenciesResult.rows,
+      overrides,
+    },
+  });
+};
+
+// Endpoint 3: GET /countries/:name - Get country by name
+export const getCountryByName = async (req, res) => {
+  try {
+    await sendCountryDetails(
+      req,
+      res,
+      "LOWER(name) = LOWER($1)",
+      req.params.name
+    );
+  } catch (error) {
+    console.error("Error fetching country:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 19: GET /countries/code/:cca3 - Get country by ISO 3166-1 code
+// Takes the three-letter code, or the two-letter one
+export const getCountryByCode = async (req, res) => {
+  try {
+    const code = req.params.cca3.toUpperCase();
+
+    if (!/^[A-Z]{2,3}$/.test(code)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: {
+          cca3: "must be a 3-letter (or 2-letter) ISO country code",
+        },
+      });
+    }
+
+    await sendCountryDetails(
+      req,
+      res,
+      code.length === 3 ? "cca3 = $1" : "cca2 = $1",
+      code
+    );
+  } catch (error) {
+    console.error("Error fetching country by code:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 20: GET /countries/:name/neighbours - Bordering countries as full records
+export const getCountryNeighbours = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const countryResult = await pool.query(
+      "SELECT name, cca3, borders FROM countries WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL",
+      [name]
+    );
+
+    if (countryResult.rows.length === 0) {
+      return res.status(404).json({
+        error: "Country not found",
+      });
+    }
+
+    const country = countryResult.rows[0];
+    const borders = country.borders || [];
+
+    const result = await pool.query(
+      `
+      SELECT ${COUNTRY_LIST_COLUMNS.join(", ")}
+      FROM countries
+      WHERE cca3 = ANY($1) AND deleted_at IS NULL
+      ORDER BY name ASC
+      `,
+      [borders]
+    );
+
+    // Border codes we hold no (live) country for
+    const resolved = new Set(result.rows.map((row) => row.cca3));
+
+    res.status(200).json({
+      status: "success",
+      country: country.name,
+      cca3: country.cca3,
+      count: result.rows.length,
+      unresolved_borders: borders.filter((code) => !resolved.has(code)),
+      data: result.rows,
+    });
+  } catch (error) {
+    console.error("Error fetching neighbours:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 7: GET /countries/:name/history - Exchange rate & GDP time series
+export const getCountryHistory = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { from, to } = req.query;
+
+    // Validate optional date range
+    const errors = {};
+    if (from && isNaN(Date.parse(from))) {
+      errors.from = "must be a valid date";
+    }
+    if (to && isNaN(Date.parse(to))) {
+      errors.to = "must be a valid date";
+    }
+    if (
+      Object.keys(errors).length === 0 &&
+      from &&
+      to &&
+      new Date(from) > new Date(to)
+    ) {
+      errors.from = "must not be later than to";
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    let query = `
+      SELECT country_name, currency_code, exchange_rate, estimated_gdp, gdp_model_version, recorded_at
+      FROM country_rate_history
+      WHERE LOWER(country_name) = LOWER($1)
+    `;
+
+    const params = [name];
+    let paramCount = 2;
+
+    if (from) {
+      query += ` AND recorded_at >= $${paramCount}`;
+      params.push(new Date(from));
+      paramCount++;
+    }
+
+    if (to) {
+      query += ` AND recorded_at <= $${paramCount}`;
+      params.push(new Date(to));
+      paramCount++;
+    }
+
+    query += ` ORDER BY recorded_at ASC`;
+
+    const result = await pool.query(query, params);
+
+    // No history at all - tell apart an unknown country from an empty range
+    if (result.rows.length === 0) {
+      const countryResult = await pool.query(
+        "SELECT name FROM countries WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL",
+        [name]
+      );
+
+      if (countryResult.rows.length === 0) {
+        return res.status(404).json({
+          error: "Country not found",
+        });
+      }
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        name: result.rows[0]?.country_name || name,
+        from: from || null,
+        to: to || null,
+        count: result.rows.length,
+        history: result.rows.map((row) => ({
+          recorded_at: row.recorded_at,
+          currency_code: row.currency_code,
+          exchange_rate: row.exchange_rate,
+          estimated_gdp: row.estimated_gdp,
+          gdp_model_version: row.gdp_model_version,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching country history:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 8: GET /convert - Convert an amount between two currencies via USD
+export const convertCurrency = async (req, res) => {
   try {
-    const {
-      region,
-      currency,
-      sort = "name_asc",
-      limit,
-      offset,
-      search,
-    } = req.query;
+    const { from, to, amount = "1" } = req.query;
 
-    let query = `
-      SELECT id, name, capital, region, population, currency_code, 
-             exchange_rate, estimated_gdp, flag_url, last_refreshed_at
-      FROM countries
-      WHERE 1=1
-    `;
+    // Validation
+    const errors = {};
+    if (!from || !/^[A-Za-z]{3}$/.test(from)) {
+      errors.from = "is required and must be a 3-letter currency code";
+    }
+    if (!to || !/^[A-Za-z]{3}$/.test(to)) {
+      errors.to = "is required and must be a 3-letter currency code";
+    }
+    const parsedAmount = Number(amount);
+    // Number() also accepts "Infinity" and "1e400", which JSON can't carry
+    if (amount === "" || !Number.isFinite(parsedAmount) || parsedAmount < 0) {
+      errors.amount = "must be a non-negative number";
+    }
 
-    const params = [];
-    let paramCount = 1;
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
 
-    // Filters
-    if (region) {
-      query += ` AND LOWER(region) = LOWER($${paramCount})`;
-      params.push(region);
-      paramCount++;
+    const fromCode = from.toUpperCase();
+    const toCode = to.toUpperCase();
+
+    // Rates are stored against USD by the last refresh; countries that share
+    // a currency share the same rate, so one row per code is enough.
+    // Soft-deleted countries are still refreshed, so their rates count too
+    const result = await pool.query(
+      `
+      SELECT DISTINCT ON (UPPER(cc.currency_code))
+             UPPER(cc.currency_code) AS currency_code, cc.exchange_rate, c.last_refreshed_at
+      FROM country_currencies cc
+      JOIN countries c ON c.id = cc.country_id
+      WHERE UPPER(cc.currency_code) = ANY($1)
+        AND cc.exchange_rate IS NOT NULL
+        AND cc.exchange_rate > 0
+      ORDER BY UPPER(cc.currency_code), c.last_refreshed_at DESC
+      `,
+      [[fromCode, toCode]]
+    );
+
+    const rates = {};
+    result.rows.forEach((row) => {
+      rates[row.currency_code] = row;
+    });
+
+    const missing = {};
+    if (!rates[fromCode]) {
+      missing.from = `No exchange rate available for ${fromCode}`;
+    }
+    if (!rates[toCode]) {
+      missing.to = `No exchange rate available for ${toCode}`;
     }
 
-    if (currency) {
-      query += ` AND UPPER(currency_code) = UPPER($${paramCount})`;
-      params.push(currency);
-      paramCount++;
+    if (Object.keys(missing).length > 0) {
+      return res.status(404).json({
+        error: "Exchange rate not found",
+        details: missing,
+      });
     }
 
-    if (search) {
-      query += ` AND (LOWER(name) LIKE LOWER($${paramCount}) OR LOWER(capital) LIKE LOWER($${paramCount}))`;
-      params.push(`%${search}%`);
-      paramCount++;
+    const fromRate = parseFloat(rates[fromCode].exchange_rate);
+    const toRate = parseFloat(rates[toCode].exchange_rate);
+    const rate = toRate / fromRate;
+    const convertedAmount = parsedAmount * rate;
+
+    if (!Number.isFinite(convertedAmount)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: { amount: "is too large to convert" },
+      });
     }
 
-    // Sorting
+    // Report the older of the two refresh times - that is how fresh the pair is
+    const refreshedAt =
+      new Date(rates[fromCode].last_refreshed_at) <
+      new Date(rates[toCode].last_refreshed_at)
+        ? rates[fromCode].last_refreshed_at
+        : rates[toCode].last_refreshed_at;
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        from: fromCode,
+        to: toCode,
+        amount: parsedAmount,
+        rate,
+        converted_amount: convertedAmount,
+        usd_rates: {
+          [fromCode]: fromRate,
+          [toCode]: toRate,
+        },
+        last_refreshed_at: refreshedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error converting currency:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Shared number formatting for the aggregate endpoints (pg returns SUM/AVG as strings)
+const formatAggregateRow = (row) => ({
+  country_count: parseInt(row.country_count),
+  total_population: Number(row.total_population) || 0,
+  average_population: row.average_population
+    ? Math.round(Number(row.average_population))
+    : 0,
+  total_estimated_gdp: row.total_estimated_gdp
+    ? Math.round(Number(row.total_estimated_gdp) * 100) / 100
+    : 0,
+});
+
+// Endpoint 11: GET /regions - Per-region aggregates
+export const getRegions = async (req, res) => {
+  try {
+    const { sort = "name_asc" } = req.query;
+
+    // Sorting (same <field>_<direction> convention as GET /countries)
     const sortOptions = {
-      name_asc: "name ASC",
-      name_desc: "name DESC",
-      population_asc: "population ASC",
-      population_desc: "population DESC",
-      gdp_asc: "estimated_gdp ASC",
-      gdp_desc: "estimated_gdp DESC",
-      region_asc: "region ASC",
-      region_desc: "region DESC",
+      name_asc: "region ASC",
+      name_desc: "region DESC",
+      countries_asc: "country_count ASC",
+      countries_desc: "country_count DESC",
+      population_asc: "total_population ASC",
+      population_desc: "total_population DESC",
+      gdp_asc: "total_estimated_gdp ASC",
+      gdp_desc: "total_estimated_gdp DESC",
     };
 
-    const orderBy = sortOptions[sort] || "name ASC";
-    query += ` ORDER BY ${orderBy}`;
+    const orderBy = sortOptions[sort] || "region ASC";
 
-    // Pagination
-    if (limit) {
-      query += `LIMIT $${paramCount}`;
-      params.push(parseInt(limit));
-      paramCount++;
+    const result = await pool.query(`
+      SELECT region,
+             COUNT(*) AS country_count,
+             SUM(population) AS total_population,
+             AVG(population) AS average_population,
+             COALESCE(SUM(estimated_gdp), 0) AS total_estimated_gdp
+      FROM countries
+      WHERE deleted_at IS NULL
+      GROUP BY region
+      ORDER BY ${orderBy}
+    `);
 
-      if (offset) {
-        query += ` OFFSET $${paramCount}`;
-        params.push(parseInt(offset));
-        paramCount++;
-      }
+    res.status(200).json({
+      status: "success",
+      count: result.rows.length,
+      data: result.rows.map((row) => ({
+        region: row.region,
+        ...formatAggregateRow(row),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching regions:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 12: GET /currencies - Per-currency aggregates
+export const getCurrencies = async (req, res) => {
+  try {
+    const { sort = "name_asc" } = req.query;
+
+    const sortOptions = {
+      name_asc: "currency_code ASC",
+      name_desc: "currency_code DESC",
+      countries_asc: "country_count ASC",
+      countries_desc: "country_count DESC",
+      population_asc: "total_population ASC",
+      population_desc: "total_population DESC",
+      gdp_asc: "total_estimated_gdp ASC",
+      gdp_desc: "total_estimated_gdp DESC",
+      rate_asc: "exchange_rate ASC",
+      rate_desc: "exchange_rate DESC",
+    };
+
+    const orderBy = sortOptions[sort] || "currency_code ASC";
+
+    // Every currency a country uses counts, not only the primary one
+    const result = await pool.query(`
+      SELECT UPPER(cc.currency_code) AS currency_code,
+             MAX(cc.currency_name) AS currency_name,
+             MAX(cc.currency_symbol) AS currency_symbol,
+             MAX(cc.exchange_rate) AS exchange_rate,
+             COUNT(*) AS country_count,
+             SUM(c.population) AS total_population,
+             AVG(c.population) AS average_population,
+             COALESCE(SUM(c.estimated_gdp), 0) AS total_estimated_gdp,
+             array_agg(c.name ORDER BY c.name) AS countries
+      FROM country_currencies cc
+      JOIN countries c ON c.id = cc.country_id
+      WHERE c.deleted_at IS NULL
+      GROUP BY UPPER(cc.currency_code)
+      ORDER BY ${orderBy}
+    `);
+
+    res.status(200).json({
+      status: "success",
+      count: result.rows.length,
+      data: result.rows.map((row) => ({
+        currency_code: row.currency_code,
+        currency_name: row.currency_name,
+        currency_symbol: row.currency_symbol,
+        exchange_rate: row.exchange_rate ? Number(row.exchange_rate) : null,
+        ...formatAggregateRow(row),
+        countries: row.countries,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching currencies:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Function to list a country's overrides
+const getCountryOverrides = async (db, name) => {
+  const result = await db.query(
+    `
+    SELECT field, value, upstream_value, set_by, set_at
+    FROM country_overrides
+    WHERE LOWER(country_name) = LOWER($1)
+    ORDER BY field ASC
+    `,
+    [name]
+  );
+  return result.rows;
+};
+
+// A country's active overrides as { field: value }
+const getActiveOverrideValues = async (db, name) => {
+  const overrides = await getCountryOverrides(db, name);
+  return Object.fromEntries(
+    overrides.map((override) => [override.field, override.value])
+  );
+};
+
+// Write new field values to a country row, keeping the derived columns
+// (exchange rate, GDP estimate, primary currency) consistent with them
+const updateCountryFields = async (client, country, fields) => {
+  const updated = {
+    capital: country.capital,
+    region: country.region,
+    population: Number(country.population),
+    currency_code: country.currency_code,
+    exchange_rate: country.exchange_rate
+      ? parseFloat(country.exchange_rate)
+      : null,
+    flag_url: country.flag_url,
+    ...fields,
+  };
+
+  // A new currency takes that currency's stored rate unless the rate is given too
+  let storedRate = null;
+  if ("currency_code" in fields && updated.currency_code) {
+    const rateResult = await client.query(
+      `
+      SELECT exchange_rate
+      FROM country_currencies
+      WHERE UPPER(currency_code) = UPPER($1) AND exchange_rate IS NOT NULL
+      LIMIT 1
+      `,
+      [updated.currency_code]
+    );
+    storedRate = rateResult.rows[0]
+      ? parseFloat(rateResult.rows[0].exchange_rate)
+      : null;
+  }
+  if ("currency_code" in fields && !("exchange_rate" in fields)) {
+    updated.exchange_rate = storedRate;
+  }
+
+  // Same GDP rules as the refresh: no currency -> 0, no rate -> null
+  const gdpModel = getGdpModel();
+  let estimatedGDP = 0;
+  if (updated.currency_code) {
+    estimatedGDP = estimateGDP(
+      gdpModel,
+      { name: country.name, population: updated.population },
+      updated.exchange_rate
+    );
+  } else {
+    updated.exchange_rate = null;
+  }
+
+  await client.query(
+    `
+    UPDATE countries
+    SET capital = $1, region = $2, population = $3, currency_code = $4,
+        exchange_rate = $5, estimated_gdp = $6, gdp_model_version = $7,
+        flag_url = $8, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $9
+    `,
+    [
+      updated.capital,
+      updated.region,
+      updated.population,
+      updated.currency_code,
+      updated.exchange_rate,
+      estimatedGDP,
+      gdpModel.version,
+      updated.flag_url,
+      country.id,
+    ]
+  );
+
+  // Keep country_currencies' primary flag on the effective currency. Its rate
+  // stays the stored upstream one: an exchange_rate override only changes
+  // this country, not the rate /convert and /currencies use for the code.
+  if ("currency_code" in fields && updated.currency_code) {
+    await client.query(
+      `
+      INSERT INTO country_currencies (country_id, currency_code, exchange_rate, is_primary)
+      VALUES ($1, $2, $3, TRUE)
+      ON CONFLICT (country_id, currency_code) DO NOTHING
+      `,
+      [country.id, updated.currency_code, storedRate]
+    );
+    await client.query(
+      `
+      UPDATE country_currencies
+      SET is_primary = (currency_code = $2)
+      WHERE country_id = $1
+      `,
+      [country.id, updated.currency_code]
+    );
+  }
+};
+
+// Endpoint 14: PATCH /countries/:name - Manual field overrides that survive
+// refreshes until cleared. Records who set them (set_by or X-User) and
+// re-applies every active override of the country, not just the new ones
+export const patchCountry = async (req, res) => {
+  const { name } = req.params;
+  const { fields, errors } = validateOverrideRequest(req.body);
+  const setBy = req.body?.set_by || req.get("X-User");
+
+  if (!setBy || typeof setBy !== "string") {
+    errors.set_by = "is required (body field set_by or X-User header)";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors,
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const countryResult = await client.query(
+      "SELECT * FROM countries WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL FOR UPDATE",
+      [name]
+    );
+
+    if (countryResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        error: "Country not found",
+      });
     }
 
-    const result = await pool.query(query, params);
+    const country = countryResult.rows[0];
+
+    // The current value is the upstream one unless the field was already overridden
+    for (const [field, value] of Object.entries(fields)) {
+      const currentValue =
+        country[field] !== null &&
+        (field === "population" || field === "exchange_rate")
+          ? Number(country[field])
+          : (country[field] ?? null);
+
+      await client.query(
+        `
+        INSERT INTO country_overrides (country_name, field, value, upstream_value, set_by, set_at)
+        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+        ON CONFLICT (LOWER(country_name), field)
+        DO UPDATE SET value = EXCLUDED.value, set_by = EXCLUDED.set_by, set_at = CURRENT_TIMESTAMP
+        `,
+        [
+          country.name,
+          field,
+          JSON.stringify(value),
+          JSON.stringify(currentValue),
+          setBy,
+        ]
+      );
+    }
+
+    // Earlier overrides go in too, so e.g. a new currency_code does not
+    // replace an overridden exchange_rate with the currency's stored rate
+    await updateCountryFields(
+      client,
+      country,
+      await getActiveOverrideValues(client, country.name)
+    );
+    await client.query("COMMIT");
+    clearImageVariants();
 
-    res.status(200).json(result.rows);
+    await logger.info(`Overrides set on ${country.name}`, {
+      fields,
+      set_by: setBy,
+    });
+
+    const [updatedResult, overrides] = await Promise.all([
+      pool.query("SELECT * FROM countries WHERE id = $1", [country.id]),
+      getCountryOverrides(pool, country.name),
+    ]);
+
+    res.status(200).json({
+      status: "success",
+      message: "Country overrides saved",
+      data: {
+        ...updatedResult.rows[0],
+        overrides,
+      },
+    });
   } catch (error) {
-    console.error("Error fetching countries:", error);
+    await client.query("ROLLBACK");
+    console.error("Error overriding country:", error);
     res.status(500).json({
       error: "Internal server error",
     });
+  } finally {
+    client.release();
   }
 };
 
-// Endpoint 3: GET /countries/:name - Get country by name
-export const getCountryByName = async (req, res) => {
+// Endpoint 15: GET /countries/:name/overrides - List a country's overrides
+export const listCountryOverrides = async (req, res) => {
   try {
     const { name } = req.params;
 
-    const query = `
-      SELECT id, name, capital, region, population, currency_code, 
-             exchange_rate, estimated_gdp, flag_url, last_refreshed_at,
-             created_at, updated_at
-      FROM countries
-      WHERE LOWER(name) = LOWER($1)
-    `;
-
-    const result = await pool.query(query, [name]);
+    const countryResult = await pool.query(
+      "SELECT name FROM countries WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL",
+      [name]
+    );
 
-    if (result.rows.length === 0) {
+    if (countryResult.rows.length === 0) {
       return res.status(404).json({
         error: "Country not found",
       });
     }
 
+    const overrides = await getCountryOverrides(pool, name);
+
     res.status(200).json({
       status: "success",
-      data: result.rows[0],
+      count: overrides.length,
+      data: overrides,
     });
   } catch (error) {
-    console.error("Error fetching country:", error);
+    console.error("Error listing overrides:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Endpoint 16: DELETE /countries/:name/overrides/:field - Clear an override
+// and restore the upstream value
+export const clearCountryOverride = async (req, res) => {
+  const { name, field } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const overrideResult = await client.query(
+      `
+      DELETE FROM country_overrides
+      WHERE LOWER(country_name) = LOWER($1) AND field = $2
+      RETURNING field, value, upstream_value
+      `,
+      [name, field]
+    );
+
+    if (overrideResult.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        error: "Override not found",
+      });
+    }
+
+    const countryResult = await client.query(
+      "SELECT * FROM countries WHERE LOWER(name) = LOWER($1) FOR UPDATE",
+      [name]
+    );
+
+    const cleared = overrideResult.rows[0];
+    if (countryResult.rows.length > 0) {
+      // Restore the upstream value with the remaining overrides still applied.
+      // A cleared exchange_rate under an overridden currency_code takes that
+      // currency's stored rate rather than the upstream currency's rate
+      const fields = await getActiveOverrideValues(client, name);
+      if (!(field === "exchange_rate" && "currency_code" in fields)) {
+        fields[field] = cleared.upstream_value;
+      }
+      await updateCountryFields(client, countryResult.rows[0], fields);
+    }
+
+    await client.query("COMMIT");
+    clearImageVariants();
+
+    res.status(200).json({
+      status: "success",
+      message: "Override cleared",
+      data: {
+        field,
+        restored_value: cleared.upstream_value,
+        previous_override: cleared.value,
+      },
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error clearing override:", error);
     res.status(500).json({
       error: "Internal server error",
     });
+  } finally {
+    client.release();
   }
 };
 
-// Endpoint 4: DELETE /countries/:name - Delete country
+// Endpoint 4: DELETE /countries/:name - Soft delete country
+// The row is tombstoned (deleted_at) and hidden; refreshes keep it hidden
 export const deleteCountry = async (req, res) => {
   try {
     const { name } = req.params;
 
     const result = await pool.query(
-      "DELETE FROM countries WHERE LOWER(name) = LOWER($1) RETURNING name, id",
+      `
+      UPDATE countries
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE LOWER(name) = LOWER($1) AND deleted_at IS NULL
+      RETURNING name, id, deleted_at
+      `,
       [name]
     );
 
@@ -735,12 +2776,16 @@ export const deleteCountry = async (req, res) => {
       });
     }
 
+    clearImageVariants();
+    await logger.info(`Country soft-deleted: ${result.rows[0].name}`);
+
     res.status(200).json({
       status: "success",
       message: "Country deleted successfully",
       data: {
         id: result.rows[0].id,
         name: result.rows[0].name,
+        deleted_at: result.rows[0].deleted_at,
       },
     });
   } catch (error) {
@@ -751,12 +2796,63 @@ export const deleteCountry = async (req, res) => {
   }
 };
 
+// Endpoint 17: POST /countries/:name/restore - Undo a soft delete
+export const restoreCountry = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const existing = await pool.query(
+      "SELECT id, deleted_at FROM countries WHERE LOWER(name) = LOWER($1)",
+      [name]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: "Country not found",
+      });
+    }
+
+    if (!existing.rows[0].deleted_at) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: {
+          name: "country is not deleted",
+        },
+      });
+    }
+
+    const result = await pool.query(
+      `
+      UPDATE countries
+      SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${COUNTRY_LIST_COLUMNS.join(", ")}
+      `,
+      [existing.rows[0].id]
+    );
+
+    clearImageVariants();
+    await logger.info(`Country restored: ${result.rows[0].name}`);
+
+    res.status(200).json({
+      status: "success",
+      message: "Country restored successfully",
+      data: result.rows[0],
+    });
+  } catch (error) {
+    console.error("Error restoring country:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
 // Endpoint 5: GET /status - Get refresh status
 export const getRefreshStatus = async (req, res) => {
   try {
     // Get processed countries count from latest refresh metadata instead of total DB count
     const metadataResult = await pool.query(`
-      SELECT total_countries, last_refresh_timestamp, refresh_duration_seconds, status
+      SELECT total_countries, last_refresh_timestamp, refresh_duration_seconds, status, trigger
       FROM refresh_metadata
       ORDER BY created_at DESC
       LIMIT 1
@@ -765,15 +2861,26 @@ export const getRefreshStatus = async (req, res) => {
     const lastRefresh = metadataResult.rows[0] || null;
     const processedCountries = lastRefresh?.total_countries || 0;
 
+    // Staleness is judged on the last refresh that succeeded
+    const lastSuccessfulRefreshAt = await getLastSuccessfulRefreshAt();
+    const staleness = assessStaleness(lastSuccessfulRefreshAt);
+
     res.status(200).json({
       total_countries: processedCountries, // Use processed count instead of DB count
       last_refreshed_at: lastRefresh?.last_refresh_timestamp || null,
+      last_successful_refresh_at: lastSuccessfulRefreshAt,
+      stale: staleness.stale,
+      data_age_seconds: staleness.age_seconds,
+      stale_after_seconds: staleness.threshold_seconds,
       details: {
         countries_processed: processedCountries,
         duration_seconds: lastRefresh?.refresh_duration_seconds || 0,
         refresh_status: lastRefresh?.status || "never_refreshed",
+        refresh_trigger: lastRefresh?.trigger || null,
         database_status: processedCountries > 0 ? "populated" : "empty",
       },
+      next_scheduled_refresh_at: getNextScheduledRun(),
+      scheduler: getSchedulerInfo(),
     });
   } catch (error) {
     console.error("Error getting status:", error);
@@ -782,3 +2889,170 @@ export const getRefreshStatus = async (req, res) => {
     });
   }
 };
+
+// Statuses runs are stored with; "failed" in ?status= matches every failure
+const REFRESH_FAILURE_STATUSES = [
+  "failed - countries API unavailable",
+  "failed - exchange rates API unavailable",
+  "failed - validation",
+  "failed - internal error",
+];
+
+// Endpoint 18: GET /status/history - Past refresh runs with summary stats
+export const getRefreshHistory = async (req, res) => {
+  try {
+    const {
+      status,
+      limit = "20",
+      offset = "0",
+      window_days = "30",
+    } = req.query;
+
+    // Validation
+    const errors = {};
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+      errors.limit = "must be an integer between 1 and 100";
+    }
+    const pageOffset = Number(offset);
+    if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+      errors.offset = "must be a non-negative integer";
+    }
+    const windowDays = Number(window_days);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 3650) {
+      errors.window_days = "must be an integer between 1 and 3650";
+    }
+    const allowedStatuses = [
+      "completed",
+      "failed",
+      ...REFRESH_FAILURE_STATUSES,
+    ];
+    if (status !== undefined && !allowedStatuses.includes(status)) {
+      errors.status = `must be one of ${allowedStatuses.join(", ")}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    let statusFilter = "";
+    const params = [];
+    if (status === "failed") {
+      statusFilter = " AND status LIKE 'failed%'";
+    } else if (status) {
+      statusFilter = " AND status = $1";
+      params.push(status);
+    }
+
+    const [runsResult, countResult, summaryResult, failuresResult] =
+      await Promise.all([
+        pool.query(
+          `
+          SELECT id, status, trigger, last_refresh_timestamp, refresh_duration_seconds,
+                 total_countries, countries_fetched, countries_failed, failed_source,
+                 warnings, changes->'summary' AS changes
+          FROM refresh_metadata
+          WHERE 1=1${statusFilter}
+          ORDER BY created_at DESC, id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+          `,
+          [...params, pageSize, pageOffset]
+        ),
+        pool.query(
+          `SELECT COUNT(*) AS total FROM refresh_metadata WHERE 1=1${statusFilter}`,
+          params
+        ),
+        // Summary over the window covers every run, whatever ?status= is
+        pool.query(
+          `
+          SELECT COUNT(*) AS runs,
+                 COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+                 percentile_cont(0.5) WITHIN GROUP (ORDER BY refresh_duration_seconds)
+                   FILTER (WHERE status = 'completed') AS median_duration_seconds,
+                 AVG(refresh_duration_seconds)
+                   FILTER (WHERE status = 'completed') AS average_duration_seconds,
+                 MAX(created_at) FILTER (WHERE status LIKE 'failed%') AS last_failure_at
+          FROM refresh_metadata
+          WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+          `,
+          [windowDays]
+        ),
+        pool.query(
+          `
+          SELECT status, failed_source, COUNT(*) AS failures
+          FROM refresh_metadata
+          WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+            AND status LIKE 'failed%'
+          GROUP BY status, failed_source
+          ORDER BY failures DESC
+          `,
+          [windowDays]
+        ),
+      ]);
+
+    const summary = summaryResult.rows[0];
+    const runs = parseInt(summary.runs);
+    const completed = parseInt(summary.completed);
+
+    // Failures per data source, so a flaky upstream stands out
+    const failuresBySource = {};
+    const failuresByStatus = {};
+    failuresResult.rows.forEach((row) => {
+      const failures = parseInt(row.failures);
+      failuresByStatus[row.status] =
+        (failuresByStatus[row.status] || 0) + failures;
+      if (row.failed_source) {
+        failuresBySource[row.failed_source] =
+          (failuresBySource[row.failed_source] || 0) + failures;
+      }
+    });
+
+    res.status(200).json({
+      status: "success",
+      total: parseInt(countResult.rows[0].total),
+      count: runsResult.rows.length,
+      limit: pageSize,
+      offset: pageOffset,
+      summary: {
+        window_days: windowDays,
+        runs,
+        completed,
+        failed: runs - completed,
+        success_rate:
+          runs > 0 ? Math.round((completed / runs) * 1000) / 1000 : null,
+        median_duration_seconds:
+          summary.median_duration_seconds !== null
+            ? Number(summary.median_duration_seconds)
+            : null,
+        average_duration_seconds:
+          summary.average_duration_seconds !== null
+            ? Math.round(Number(summary.average_duration_seconds) * 10) / 10
+            : null,
+        last_failure_at: summary.last_failure_at,
+        failures_by_status: failuresByStatus,
+        failures_by_source: failuresBySource,
+      },
+      data: runsResult.rows.map((row) => ({
+        refresh_id: row.id,
+        status: row.status,
+        trigger: row.trigger,
+        refreshed_at: row.last_refresh_timestamp,
+        duration_seconds: row.refresh_duration_seconds,
+        countries_processed: row.total_countries,
+        countries_fetched: row.countries_fetched,
+        countries_failed: row.countries_failed,
+        failed_source: row.failed_source,
+        changes: row.changes,
+        warnings: row.warnings || [],
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting refresh history:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
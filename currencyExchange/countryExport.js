@@ -0,0 +1,132 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+// Row writers for GET /countries/export.
+// Each writer streams rows straight to the HTTP response so memory stays flat.
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Dates as ISO strings, everything else as-is
+const formatValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(formatValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Settle with `promise`, or reject as soon as the client disconnects, so an
+// aborted download never leaves the export waiting on a closed response
+const whileConnected = (res, promise) => {
+  if (res.destroyed) {
+    return Promise.reject(new Error("Client disconnected"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      if (!res.writableFinished) {
+        reject(new Error("Client disconnected"));
+      }
+    };
+    res.once("close", onClose);
+    promise.then(resolve, reject).finally(() => res.off("close", onClose));
+  });
+};
+
+// Write a chunk, waiting for the response to drain when its buffer is full
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await whileConnected(res, once(res, "drain"));
+  }
+};
+
+const createCsvWriter = (res, columns) => ({
+  start: () => writeChunk(res, columns.join(",") + "\r\n"),
+  writeRow: (row) =>
+    writeChunk(
+      res,
+      columns.map((column) => escapeCsv(row[column])).join(",") + "\r\n"
+    ),
+  end: async () => res.end(),
+});
+
+// NDJSON has no header line - every row carries its keys in column order
+const createNdjsonWriter = (res, columns) => ({
+  start: async () => {},
+  writeRow: (row) => {
+    const record = {};
+    columns.forEach((column) => {
+      record[column] = formatValue(row[column]) ?? null;
+    });
+    return writeChunk(res, JSON.stringify(record) + "\n");
+  },
+  end: async () => res.end(),
+});
+
+const createXlsxWriter = (res, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet("countries");
+
+  return {
+    start: async () => {
+      worksheet.columns = columns.map((column) => ({
+        header: column,
+        key: column,
+      }));
+    },
+    writeRow: async (row) => {
+      // pg returns BIGINT/DECIMAL as strings - store them as numeric cells
+      const record = {};
+      columns.forEach((column) => {
+        const value = formatValue(row[column]);
+        record[column] =
+          typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value)
+            ? Number(value)
+            : value;
+      });
+      worksheet.addRow(record).commit();
+    },
+    end: async () => {
+      worksheet.commit();
+      // Resolves when the response finishes, which never happens once the
+      // client has gone
+      await whileConnected(res, workbook.commit());
+    },
+  };
+};
+
+export const createExportWriter = (format, res, columns) => {
+  if (format === "xlsx") {
+    return createXlsxWriter(res, columns);
+  }
+  if (format === "ndjson") {
+    return createNdjsonWriter(res, columns);
+  }
+  return createCsvWriter(res, columns);
+};
@@ -0,0 +1,104 @@
+// Manual per-field overrides for countries (PATCH /countries/:name).
+//
+// Overrides are stored in country_overrides keyed by country name and field,
+// and are re-applied on top of the upstream values on every refresh.
+
+const isNullableString = (value) => value === null || typeof value === "string";
+
+// Fields that can be overridden, with their validation
+export const OVERRIDABLE_FIELDS = {
+  capital: {
+    validate: isNullableString,
+    message: "must be a string or null",
+  },
+  region: {
+    validate: isNullableString,
+    message: "must be a string or null",
+  },
+  population: {
+    validate: (value) => Number.isInteger(value) && value >= 0,
+    message: "must be a non-negative integer",
+  },
+  currency_code: {
+    validate: (value) =>
+      value === null ||
+      (typeof value === "string" && /^[A-Za-z]{3}$/.test(value)),
+    message: "must be a 3-letter currency code or null",
+  },
+  exchange_rate: {
+    validate: (value) =>
+      value === null || (typeof value === "number" && value > 0),
+    message: "must be a positive number or null",
+  },
+  flag_url: {
+    validate: isNullableString,
+    message: "must be a string or null",
+  },
+};
+
+// Validate a PATCH body. Returns { fields: { field: value }, errors }.
+export const validateOverrideRequest = (body) => {
+  const errors = {};
+  const fields = {};
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { fields, errors: { body: "must be a JSON object" } };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    // Who made the change is metadata, not an overridden field
+    if (field === "set_by") {
+      continue;
+    }
+
+    const definition = OVERRIDABLE_FIELDS[field];
+    if (!definition) {
+      errors[field] = "cannot be overridden";
+      continue;
+    }
+
+    if (!definition.validate(value)) {
+      errors[field] = definition.message;
+      continue;
+    }
+
+    fields[field] =
+      field === "currency_code" && value !== null ? value.toUpperCase() : value;
+  }
+
+  if (Object.keys(fields).length === 0 && Object.keys(errors).length === 0) {
+    errors.body = `must contain at least one of ${Object.keys(
+      OVERRIDABLE_FIELDS
+    ).join(", ")}`;
+  }
+
+  return { fields, errors };
+};
+
+// Group override rows into Map(lowercased name -> { field: value })
+export const groupOverridesByCountry = (rows) => {
+  const grouped = new Map();
+  rows.forEach((row) => {
+    const key = row.country_name.toLowerCase();
+    if (!grouped.has(key)) {
+      grouped.set(key, {});
+    }
+    grouped.get(key)[row.field] = row.value;
+  });
+  return grouped;
+};
+
+// Upstream values with any overrides laid on top
+export const applyOverrides = (upstream, overrides) => {
+  if (!overrides) {
+    return { ...upstream };
+  }
+
+  const effective = { ...upstream };
+  for (const [field, value] of Object.entries(overrides)) {
+    if (field in effective) {
+      effective[field] = value;
+    }
+  }
+  return effective;
+};
@@ -5,7 +5,21 @@ import {
   getCountryByName,
   deleteCountry,
   getRefreshStatus,
+  getRefreshHistory,
+  getCountryByCode,
+  getCountryNeighbours,
   getCountriesSummaryImage,
+  getCountryHistory,
+  convertCurrency,
+  getRefreshJob,
+  getRefreshChanges,
+  getRegions,
+  getCurrencies,
+  exportCountries,
+  patchCountry,
+  listCountryOverrides,
+  clearCountryOverride,
+  restoreCountry,
 } from "./countryController.js";
 
 const router = express.Router();
@@ -13,19 +27,61 @@ const router = express.Router();
 // 5. GET /status :- Refresh status (specific route)
 router.get("/status", getRefreshStatus);
 
+// 18. GET /status/history - Past refresh runs with success rate and durations
+router.get("/status/history", getRefreshHistory);
+
 // 6. GET /countries/image - Summary image (specific route)
 router.get("/countries/image", getCountriesSummaryImage);
 
-// 1. POST /countries/refresh - Refresh countries data (specific route)
+// 11. GET /regions - Aggregates per region
+router.get("/regions", getRegions);
+
+// 12. GET /currencies - Aggregates per currency
+router.get("/currencies", getCurrencies);
+
+// 8. GET /convert - Currency conversion using the cached rates
+router.get("/convert", convertCurrency);
+
+// 1. POST /countries/refresh - Start a background refresh job (specific route)
 router.post("/countries/refresh", refreshCountriesData);
 
+// 9. GET /countries/refresh/:jobId - Refresh job progress (specific route)
+router.get("/countries/refresh/:jobId", getRefreshJob);
+
+// 10. GET /countries/refresh/:id/changes - What a refresh added/updated/missed
+router.get("/countries/refresh/:id/changes", getRefreshChanges);
+
+// 13. GET /countries/export - CSV / NDJSON / XLSX download (specific route)
+router.get("/countries/export", exportCountries);
+
 // 2. GET /countries - Get all countries with filters (specific route)
 router.get("/countries", getAllCountries);
 
+// 19. GET /countries/code/:cca3 - Get country by ISO code (specific route)
+router.get("/countries/code/:cca3", getCountryByCode);
+
+// 20. GET /countries/:name/neighbours - Bordering countries
+router.get("/countries/:name/neighbours", getCountryNeighbours);
+
+// 7. GET /countries/:name/history - Rate & GDP history for a country
+router.get("/countries/:name/history", getCountryHistory);
+
 // 3. GET /countries/:name - Get country by name
 router.get("/countries/:name", getCountryByName);
 
-// 4. DELETE /countries/:name - Delete country
+// 14. PATCH /countries/:name - Manual field overrides that survive refreshes
+router.patch("/countries/:name", patchCountry);
+
+// 15. GET /countries/:name/overrides - List overrides
+router.get("/countries/:name/overrides", listCountryOverrides);
+
+// 16. DELETE /countries/:name/overrides/:field - Clear an override
+router.delete("/countries/:name/overrides/:field", clearCountryOverride);
+
+// 17. POST /countries/:name/restore - Undo a soft delete
+router.post("/countries/:name/restore", restoreCountry);
+
+// 4. DELETE /countries/:name - Soft delete country
 router.delete("/countries/:name", deleteCountry);
 
 export default router;
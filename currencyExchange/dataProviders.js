@@ -0,0 +1,335 @@
+import axios from "axios";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLogger } from "../utils/logger.js";
+import { toIso6391 } from "./languageCodes.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger("currencyExchange");
+
+// Data providers for the countries refresh.
+//
+// A countries provider is { name, source, fetchCountries() } where fetchCountries
+// resolves to [{ name, capital, region, population, flag, currencies, cca2,
+// cca3, borders, languages, timezones, latlng }]. The last six may be null
+// when the source does not have them; the refresh then keeps stored values.
+// A rates provider is { name, source, fetchRates() } where fetchRates resolves
+// to a USD-based map of { CURRENCY_CODE: rate }.
+//
+// `source` is the human readable origin used in error messages.
+// Providers are picked with COUNTRIES_PROVIDER / RATES_PROVIDER.
+
+// API call with retry; sourceName is used for the final error message
+export const fetchWithRetry = async (
+  url,
+  options = {},
+  retries = 3,
+  sourceName = url
+) => {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await axios.get(url, {
+        timeout: options.timeout || 30000,
+        ...options,
+      });
+      return response;
+    } catch (error) {
+      console.log(`Attempt ${i + 1} failed for ${url}:`, error.message);
+
+      if (i === retries - 1) {
+        throw new Error(`Could not fetch data from ${sourceName}`);
+      }
+
+      // Handling network delays: 2s, 5s, 10s, 15s, 20s
+      const delay = i < 2 ? (i + 1) * 2000 : (i + 1) * 5000;
+      console.log(`Retrying in ${delay}ms...`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+const arrayOrNull = (value) => (Array.isArray(value) ? value : null);
+
+// Languages as [{ iso639_1, iso639_3, name }] from v3 ({ fra: "French" })
+// or v2 ([{ iso639_1, iso639_2, name }])
+const normalizeLanguages = (languages) => {
+  if (Array.isArray(languages)) {
+    return languages.map((language) => ({
+      iso639_1: language.iso639_1 || null,
+      iso639_3: language.iso639_2 || null,
+      name: language.name || null,
+    }));
+  }
+
+  if (languages && typeof languages === "object") {
+    return Object.entries(languages).map(([code, name]) => ({
+      iso639_1: toIso6391(code),
+      iso639_3: code,
+      name,
+    }));
+  }
+
+  return null;
+};
+
+// Codes, neighbours, languages, timezones and position - null when missing
+const normalizeDetails = (country, cca2, cca3) => ({
+  cca2: cca2 ? cca2.toUpperCase() : null,
+  cca3: cca3 ? cca3.toUpperCase() : null,
+  borders: arrayOrNull(country.borders),
+  languages: normalizeLanguages(country.languages),
+  timezones: arrayOrNull(country.timezones),
+  latlng:
+    Array.isArray(country.latlng) && country.latlng.length === 2
+      ? country.latlng
+      : null,
+});
+
+// Convert a restcountries v3 or v2 record to the shape the refresh expects
+const normalizeCountry = (country) => {
+  // v3 nests the common name and uses a flags object
+  if (country.name && typeof country.name === "object") {
+    return {
+      name: country.name.common,
+      capital: country.capital?.[0] || null,
+      region: country.region,
+      population: country.population,
+      flag: country.flags?.svg || country.flags?.png,
+      currencies: country.currencies || {},
+      ...normalizeDetails(country, country.cca2, country.cca3),
+    };
+  }
+
+  return {
+    name: country.name,
+    capital: country.capital || null,
+    region: country.region,
+    population: country.population,
+    flag: country.flag || country.flags?.svg || country.flags?.png,
+    currencies: country.currencies || {},
+    ...normalizeDetails(country, country.alpha2Code, country.alpha3Code),
+  };
+};
+
+const isRatesMap = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Validate and extract the rates map from an open.er-api payload. Its errors
+// come back with HTTP 200 as { result: "error", "error-type": "..." }.
+const extractRates = (data) => {
+  if (data?.result === "error") {
+    throw new Error(
+      `Exchange rates API returned an error: ${data["error-type"] || "unknown"}`
+    );
+  }
+
+  if (data?.result !== "success" || !isRatesMap(data.rates)) {
+    throw new Error("Invalid exchange rates API response structure");
+  }
+
+  return data.rates;
+};
+
+// The fixture file may be a saved open.er-api payload or a bare rates map
+const extractFixtureRates = (data) => {
+  if (isRatesMap(data) && "result" in data) {
+    return extractRates(data);
+  }
+
+  if (!isRatesMap(data)) {
+    throw new Error("Invalid exchange rates fixture structure");
+  }
+
+  return data;
+};
+
+// restcountries caps `fields` at 10 per request, so the details (codes,
+// borders, languages, timezones, latlng) come from a second request and are
+// merged in by the three-letter code
+const RESTCOUNTRIES_REQUESTS = {
+  v3: {
+    url: "https://restcountries.com/v3.1/all",
+    fields: "name,capital,region,population,flags,currencies,cca3",
+    detailFields: "cca3,cca2,borders,languages,timezones,latlng",
+    key: "cca3",
+  },
+  v2: {
+    url: "https://restcountries.com/v2/all",
+    fields: "name,capital,region,population,flag,currencies,alpha3Code",
+    detailFields: "alpha3Code,alpha2Code,borders,languages,timezones,latlng",
+    key: "alpha3Code",
+  },
+};
+
+const fetchRestCountries = async (version, source) => {
+  const { url, fields, detailFields, key } = RESTCOUNTRIES_REQUESTS[version];
+
+  const response = await fetchWithRetry(
+    `${url}?fields=${fields}`,
+    { timeout: 45000 },
+    3,
+    source
+  );
+
+  // Details are best effort - without them the refresh keeps the stored values
+  let detailsByCode = new Map();
+  try {
+    const detailsResponse = await fetchWithRetry(
+      `${url}?fields=${detailFields}`,
+      { timeout: 45000 },
+      3,
+      source
+    );
+    detailsByCode = new Map(
+      detailsResponse.data.map((details) => [details[key], details])
+    );
+  } catch (error) {
+    await logger.warn(`Country details unavailable from ${version} API`, {
+      error: error.message,
+    });
+  }
+
+  return response.data.map((country) =>
+    normalizeCountry({ ...detailsByCode.get(country[key]), ...country })
+  );
+};
+
+// restcountries.com - v3.1 with v2 as fallback
+const createRestCountriesProvider = () => ({
+  name: "restcountries",
+  source: "restcountries.com",
+  async fetchCountries() {
+    try {
+      await logger.debug("Attempting REST Countries v3 API");
+      const countries = await fetchRestCountries("v3", this.source);
+      await logger.success(`Fetched ${countries.length} countries from v3 API`);
+      return countries;
+    } catch (v3Error) {
+      await logger.warn("v3 API failed, trying v2 API", {
+        error: v3Error.message,
+      });
+
+      // Fallback to v2 API
+      const countries = await fetchRestCountries("v2", this.source);
+      await logger.success(`Fetched ${countries.length} countries from v2 API`);
+      return countries;
+    }
+  },
+});
+
+// open.er-api.com - USD based rates
+const createOpenErApiProvider = () => ({
+  name: "open-er-api",
+  source: "open.er-api.com",
+  async fetchRates() {
+    const response = await fetchWithRetry(
+      "https://open.er-api.com/v6/latest/USD",
+      { timeout: 30000 },
+      8,
+      this.source
+    );
+
+    return extractRates(response.data);
+  },
+});
+
+// Directory holding JSON fixtures for the file providers
+const getFixturesDir = () =>
+  process.env.PROVIDER_FIXTURES_DIR
+    ? path.resolve(process.env.PROVIDER_FIXTURES_DIR)
+    : path.join(__dirname, "fixtures");
+
+const readFixture = async (fileName) => {
+  const filePath = path.join(getFixturesDir(), fileName);
+
+  try {
+    const content = await fs.promises.readFile(filePath, "utf8");
+    return JSON.parse(content);
+  } catch (error) {
+    await logger.error("Failed to read provider fixture", {
+      file: filePath,
+      error: error.message,
+    });
+    throw new Error(`Could not fetch data from ${filePath}`);
+  }
+};
+
+// Countries from <fixtures>/countries.json (restcountries v3 or v2 format)
+const createFileCountriesProvider = () => ({
+  name: "file",
+  source: "countries fixture file",
+  async fetchCountries() {
+    const data = await readFixture("countries.json");
+
+    if (!Array.isArray(data)) {
+      throw new Error("Countries fixture must be a JSON array");
+    }
+
+    const countries = data.map(normalizeCountry);
+    await logger.success(`Loaded ${countries.length} countries from fixture`);
+    return countries;
+  },
+});
+
+// Rates from <fixtures>/rates.json (open.er-api format or a bare rates map)
+const createFileRatesProvider = () => ({
+  name: "file",
+  source: "exchange rates fixture file",
+  async fetchRates() {
+    return extractFixtureRates(await readFixture("rates.json"));
+  },
+});
+
+const countriesProviders = {
+  restcountries: createRestCountriesProvider,
+  file: createFileCountriesProvider,
+};
+
+const ratesProviders = {
+  "open-er-api": createOpenErApiProvider,
+  file: createFileRatesProvider,
+};
+
+// Register an extra provider factory under a name usable in config
+export const registerCountriesProvider = (name, factory) => {
+  countriesProviders[name] = factory;
+};
+
+export const registerRatesProvider = (name, factory) => {
+  ratesProviders[name] = factory;
+};
+
+// Resolve the configured countries provider (COUNTRIES_PROVIDER, default restcountries)
+export const getCountriesProvider = () => {
+  const name = process.env.COUNTRIES_PROVIDER || "restcountries";
+  const factory = countriesProviders[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown COUNTRIES_PROVIDER "${name}". Available: ${Object.keys(
+        countriesProviders
+      ).join(", ")}`
+    );
+  }
+
+  return factory();
+};
+
+// Resolve the configured rates provider (RATES_PROVIDER, default open-er-api)
+export const getRatesProvider = () => {
+  const name = process.env.RATES_PROVIDER || "open-er-api";
+  const factory = ratesProviders[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown RATES_PROVIDER "${name}". Available: ${Object.keys(
+        ratesProviders
+      ).join(", ")}`
+    );
+  }
+
+  return factory();
+};
@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+// GDP estimation models.
+//
+// estimated_gdp = population × multiplier ÷ exchange_rate, where the model
+// decides the multiplier. Each model reports a version string that is stored
+// in countries.gdp_model_version so consumers know how a number was produced.
+// Pick a model with GDP_MODEL; GDP_MODEL_SEED changes the stable multipliers.
+
+const MIN_MULTIPLIER = 1000;
+const MAX_MULTIPLIER = 2000;
+
+// gdp_model_version is VARCHAR(50) and "stable-v1+seed=" takes 15 of it
+const MAX_SEED_LENGTH = 35;
+
+// Stable multiplier in [1000, 2000) derived from the country name and seed
+const stableMultiplier = (name, seed) => {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${seed}:${String(name).trim().toLowerCase()}`)
+    .digest();
+
+  // First 4 bytes as a fraction in [0, 1)
+  const fraction = hash.readUInt32BE(0) / 0x100000000;
+  return MIN_MULTIPLIER + fraction * (MAX_MULTIPLIER - MIN_MULTIPLIER);
+};
+
+const models = {
+  // Same country + seed always gives the same multiplier
+  stable: (seed) => ({
+    version: seed ? `stable-v1+seed=${seed}` : "stable-v1",
+    multiplier: (country) => stableMultiplier(country.name, seed),
+  }),
+
+  // Original behaviour: a fresh random multiplier on every refresh
+  random: () => ({
+    version: "random-v0",
+    multiplier: () =>
+      Math.random() * (MAX_MULTIPLIER - MIN_MULTIPLIER) + MIN_MULTIPLIER,
+  }),
+};
+
+// Resolve the configured model (GDP_MODEL, default stable)
+export const getGdpModel = () => {
+  const name = process.env.GDP_MODEL || "stable";
+  const factory = models[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown GDP_MODEL "${name}". Available: ${Object.keys(models).join(
+        ", "
+      )}`
+    );
+  }
+
+  const seed = process.env.GDP_MODEL_SEED || "";
+  if (seed.length > MAX_SEED_LENGTH) {
+    throw new Error(
+      `GDP_MODEL_SEED must be at most ${MAX_SEED_LENGTH} characters (got ${seed.length})`
+    );
+  }
+
+  return factory(seed);
+};
+
+// Estimate GDP for { name, population } at a USD exchange rate.
+// Returns null when there is no usable rate.
+export const estimateGDP = (model, country, exchangeRate) => {
+  if (!exchangeRate || exchangeRate <= 0) {
+    return null;
+  }
+
+  return (country.population * model.multiplier(country)) / exchangeRate;
+};
@@ -0,0 +1,123 @@
+// Change set between the countries table before a refresh and the data it wrote.
+//
+// {
+//   added: [{ name, values }],
+//   updated: [{ name, changes: { field: { before, after } } }],
+//   missing_from_source: [{ name }],
+//   summary: { added, updated, unchanged, missing_from_source }
+// }
+
+// Fields compared between refreshes, with the precision the DB stores them at
+const TRACKED_FIELDS = {
+  capital: null,
+  region: null,
+  population: 0,
+  currency_code: null,
+  exchange_rate: 6,
+  estimated_gdp: 2,
+  flag_url: null,
+  currencies: null,
+};
+
+// Bring DB values (numeric strings, arrays) and fresh values to one shape
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const precision = TRACKED_FIELDS[field];
+  if (precision !== null) {
+    const factor = 10 ** precision;
+    return Math.round(Number(value) * factor) / factor;
+  }
+
+  if (field === "currencies") {
+    return [...value].sort();
+  }
+
+  return value;
+};
+
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  return a === b;
+};
+
+// Pick and normalize the tracked fields of a country record
+export const snapshotCountry = (country) => {
+  const snapshot = {};
+  for (const field of Object.keys(TRACKED_FIELDS)) {
+    snapshot[field] = normalizeValue(field, country[field]);
+  }
+  return snapshot;
+};
+
+// Field-by-field differences between two snapshots
+export const diffCountry = (before, after) => {
+  const changes = {};
+  for (const field of Object.keys(TRACKED_FIELDS)) {
+    if (!isSameValue(before[field], after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  }
+  return changes;
+};
+
+// existingRows: countries rows before the refresh (with a currencies array)
+// processedCountries: [{ name, ...tracked fields }] written by the refresh
+export const buildChangeSet = (existingRows, processedCountries) => {
+  const existingByName = new Map(
+    existingRows.map((row) => [row.name.toLowerCase(), row])
+  );
+  const seenNames = new Set();
+
+  const changeSet = {
+    added: [],
+    updated: [],
+    missing_from_source: [],
+    summary: {
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      missing_from_source: 0,
+    },
+  };
+
+  for (const country of processedCountries) {
+    const key = country.name.toLowerCase();
+    if (seenNames.has(key)) {
+      continue;
+    }
+    seenNames.add(key);
+
+    const after = snapshotCountry(country);
+    const existing = existingByName.get(key);
+
+    if (!existing) {
+      changeSet.added.push({ name: country.name, values: after });
+      continue;
+    }
+
+    const changes = diffCountry(snapshotCountry(existing), after);
+    if (Object.keys(changes).length > 0) {
+      changeSet.updated.push({ name: country.name, changes });
+    } else {
+      changeSet.summary.unchanged++;
+    }
+  }
+
+  // Countries we hold that upstream no longer sends
+  for (const [key, row] of existingByName) {
+    if (!seenNames.has(key)) {
+      changeSet.missing_from_source.push({ name: row.name });
+    }
+  }
+
+  changeSet.summary.added = changeSet.added.length;
+  changeSet.summary.updated = changeSet.updated.length;
+  changeSet.summary.missing_from_source = changeSet.missing_from_source.length;
+
+  return changeSet;
+};
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+
+// In-memory registry of countries refresh jobs.
+// Only one job runs at a time; finished jobs are kept so clients can poll them.
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+
+// Phases a job moves through, in order
+export const REFRESH_PHASES = {
+  QUEUED: "queued",
+  FETCHING_COUNTRIES: "fetching_countries",
+  FETCHING_EXCHANGE_RATES: "fetching_exchange_rates",
+  SAVING: "saving",
+  GENERATING_IMAGE: "generating_image",
+  RECOMPUTING_GDP: "recomputing_gdp",
+  DONE: "done",
+};
+
+// Drop the oldest finished jobs once the history limit is reached
+const pruneFinishedJobs = () => {
+  const finished = [...jobs.values()].filter(
+    (job) => job.status === "completed" || job.status === "failed"
+  );
+
+  while (finished.length > MAX_FINISHED_JOBS) {
+    jobs.delete(finished.shift().id);
+  }
+};
+
+// Create and register a new queued job
+// trigger is "manual" (POST /countries/refresh), "scheduled" (REFRESH_CRON)
+// or "recompute_gdp" (POST /countries/refresh?recompute_gdp=true)
+export const createJob = (trigger = "manual") => {
+  const job = {
+    id: crypto.randomUUID(),
+    trigger,
+    status: "queued",
+    phase: REFRESH_PHASES.QUEUED,
+    counts: {
+      fetched: 0,
+      processed: 0,
+      failed: 0,
+    },
+    errors: [],
+    result: null,
+    refresh_id: null,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+  };
+
+  jobs.set(job.id, job);
+  pruneFinishedJobs();
+  return job;
+};
+
+export const getJob = (id) => {
+  return jobs.get(id) || null;
+};
+
+// The job currently queued or running, if any
+export const getActiveJob = () => {
+  for (const job of jobs.values()) {
+    if (job.status === "queued" || job.status === "running") {
+      return job;
+    }
+  }
+  return null;
+};
+
+// Move a job to a new phase
+export const setJobPhase = (job, phase) => {
+  job.phase = phase;
+  if (job.status === "queued") {
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+  }
+};
+
+export const completeJob = (job, result) => {
+  job.status = "completed";
+  job.phase = REFRESH_PHASES.DONE;
+  job.result = result;
+  job.finished_at = new Date().toISOString();
+  pruneFinishedJobs();
+};
+
+export const failJob = (job, error) => {
+  job.status = "failed";
+  job.errors.push(error);
+  job.finished_at = new Date().toISOString();
+  pruneFinishedJobs();
+};
+
+// Public view of a job for API responses
+export const formatJob = (job) => ({
+  job_id: job.id,
+  trigger: job.trigger,
+  status: job.status,
+  phase: job.phase,
+  counts: { ...job.counts },
+  errors: job.errors,
+  result: job.result,
+  refresh_id: job.refresh_id,
+  created_at: job.created_at,
+  started_at: job.started_at,
+  finished_at: job.finished_at,
+});
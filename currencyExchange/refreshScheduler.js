@@ -0,0 +1,78 @@
+import { Cron } from "croner";
+import { createLogger } from "../utils/logger.js";
+import { getActiveJob } from "./refreshJobs.js";
+
+const logger = createLogger("currencyExchange");
+
+// Cron expression for automatic refreshes, e.g. "0 */6 * * *" (every 6 hours).
+// Leave REFRESH_CRON unset to disable the scheduler.
+let scheduledJob = null;
+
+// Start running the refresh task on the REFRESH_CRON schedule
+export const startRefreshScheduler = (runRefresh) => {
+  const cronExpression = process.env.REFRESH_CRON;
+
+  if (!cronExpression) {
+    logger.info("REFRESH_CRON not set - scheduled refresh disabled");
+    return null;
+  }
+
+  try {
+    scheduledJob = new Cron(
+      cronExpression,
+      { timezone: process.env.REFRESH_CRON_TIMEZONE || "UTC" },
+      async () => {
+        // Skip this run if the previous refresh (manual or scheduled) is still going
+        const activeJob = getActiveJob();
+        if (activeJob) {
+          await logger.warn(
+            "Skipping scheduled refresh - previous run still going",
+            {
+              job_id: activeJob.id,
+            }
+          );
+          return;
+        }
+
+        const { job } = runRefresh();
+        await logger.info("Scheduled refresh started", {
+          job_id: job.id,
+          next_run_at: getNextScheduledRun(),
+        });
+      }
+    );
+  } catch (error) {
+    logger.errorSync("Invalid REFRESH_CRON expression - scheduler disabled", {
+      cron: cronExpression,
+      error: error.message,
+    });
+    scheduledJob = null;
+    return null;
+  }
+
+  logger.info("Scheduled refresh enabled", {
+    cron: cronExpression,
+    next_run_at: getNextScheduledRun(),
+  });
+
+  return scheduledJob;
+};
+
+export const stopRefreshScheduler = () => {
+  if (scheduledJob) {
+    scheduledJob.stop();
+    scheduledJob = null;
+  }
+};
+
+// Next scheduled run as an ISO string, or null when the scheduler is off
+export const getNextScheduledRun = () => {
+  const nextRun = scheduledJob?.nextRun();
+  return nextRun ? nextRun.toISOString() : null;
+};
+
+export const getSchedulerInfo = () => ({
+  enabled: scheduledJob !== null,
+  cron: scheduledJob ? process.env.REFRESH_CRON : null,
+  next_run_at: getNextScheduledRun(),
+});
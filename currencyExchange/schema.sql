@@ -1,5 +1,5 @@
--- Drop existing table if it exists:
-DROP TABLE IF EXISTS countries CASCADE;
+-- Applied on every deploy (scripts/release.js), so nothing here may drop or
+-- rewrite existing data: soft-delete tombstones and overrides must survive.
 
 CREATE TABLE IF NOT EXISTS countries (
     id SERIAL PRIMARY KEY,
@@ -10,21 +10,57 @@ CREATE TABLE IF NOT EXISTS countries (
     currency_code VARCHAR(10), -- Allow NULL
     exchange_rate DECIMAL(15,6), -- Allow NULL
     estimated_gdp DECIMAL(20,2), -- Allow NULL
+    gdp_model_version VARCHAR(50), -- GDP model that produced estimated_gdp
     flag_url TEXT,
+    cca2 VARCHAR(2), -- ISO 3166-1 alpha-2
+    cca3 VARCHAR(3), -- ISO 3166-1 alpha-3
+    borders JSONB, -- cca3 codes of neighbouring countries
+    languages JSONB, -- [{ iso639_1, iso639_3, name }]
+    timezones JSONB, -- e.g. ["UTC+01:00"]
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
     last_refreshed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP -- Soft delete tombstone, NULL while the country is live
 );
 
+-- Columns added after the table was first created
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS gdp_model_version VARCHAR(50);
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS cca2 VARCHAR(2);
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS cca3 VARCHAR(3);
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS borders JSONB;
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS languages JSONB;
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS timezones JSONB;
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6);
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6);
+ALTER TABLE countries ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
 -- Create functional index for case-insensitive unique constraint on name
 CREATE UNIQUE INDEX IF NOT EXISTS idx_countries_name_unique ON countries (LOWER(name));
 
--- Create indexes for better query performance  
-CREATE INDEX idx_countries_region ON countries(region);
-CREATE INDEX idx_countries_currency ON countries(currency_code);
-CREATE INDEX idx_countries_name ON countries(name);
-CREATE INDEX idx_countries_estimated_gdp ON countries(estimated_gdp);
-CREATE INDEX idx_countries_last_refreshed ON countries(last_refreshed_at);
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_countries_region ON countries(region);
+CREATE INDEX IF NOT EXISTS idx_countries_currency ON countries(currency_code);
+CREATE INDEX IF NOT EXISTS idx_countries_name ON countries(name);
+CREATE INDEX IF NOT EXISTS idx_countries_estimated_gdp ON countries(estimated_gdp);
+CREATE INDEX IF NOT EXISTS idx_countries_last_refreshed ON countries(last_refreshed_at);
+CREATE INDEX IF NOT EXISTS idx_countries_deleted_at ON countries(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_countries_cca2 ON countries(cca2);
+CREATE INDEX IF NOT EXISTS idx_countries_cca3 ON countries(cca3);
+
+-- Every currency a country uses (countries.currency_code keeps the primary one)
+CREATE TABLE IF NOT EXISTS country_currencies (
+    country_id INTEGER NOT NULL REFERENCES countries(id) ON DELETE CASCADE,
+    currency_code VARCHAR(10) NOT NULL,
+    currency_name VARCHAR(100),
+    currency_symbol VARCHAR(20),
+    exchange_rate DECIMAL(15,6), -- Allow NULL
+    is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+    PRIMARY KEY (country_id, currency_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_country_currencies_code ON country_currencies (UPPER(currency_code));
 
 -- Create a metadata table to track refresh status
 CREATE TABLE IF NOT EXISTS refresh_metadata (
@@ -35,3 +71,46 @@ CREATE TABLE IF NOT EXISTS refresh_metadata (
     status VARCHAR(50) NOT NULL DEFAULT 'completed',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
+
+-- What started each refresh: 'manual' (POST /countries/refresh) or 'scheduled' (REFRESH_CRON)
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS trigger VARCHAR(20) NOT NULL DEFAULT 'manual';
+
+-- Change set of each refresh: added / updated (before & after) / missing from source
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS changes JSONB;
+
+-- Per-run counts, validation warnings and the data source behind a failure (GET /status/history)
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS countries_fetched INTEGER;
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS countries_failed INTEGER;
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS warnings JSONB;
+ALTER TABLE refresh_metadata ADD COLUMN IF NOT EXISTS failed_source VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_metadata_created_at ON refresh_metadata (created_at);
+
+-- Dated snapshot of each country's rate and GDP estimate, one row per refresh.
+-- Keyed by name (not countries.id) so history survives deletes and re-inserts.
+CREATE TABLE IF NOT EXISTS country_rate_history (
+    id SERIAL PRIMARY KEY,
+    country_name VARCHAR(255) NOT NULL,
+    currency_code VARCHAR(10),
+    exchange_rate DECIMAL(15,6),
+    estimated_gdp DECIMAL(20,2),
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE country_rate_history ADD COLUMN IF NOT EXISTS gdp_model_version VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_rate_history_country_time ON country_rate_history (LOWER(country_name), recorded_at);
+
+-- Manual per-field overrides (PATCH /countries/:name), re-applied on every refresh.
+-- upstream_value is the latest value from the data source, restored when cleared.
+CREATE TABLE IF NOT EXISTS country_overrides (
+    id SERIAL PRIMARY KEY,
+    country_name VARCHAR(255) NOT NULL,
+    field VARCHAR(50) NOT NULL,
+    value JSONB,
+    upstream_value JSONB,
+    set_by VARCHAR(255) NOT NULL,
+    set_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_country_overrides_field ON country_overrides (LOWER(country_name), field);
@@ -0,0 +1,148 @@
+import axios from "axios";
+import { createLogger } from "../utils/logger.js";
+
+const logger = createLogger("currencyExchange");
+
+// Staleness of the countries / exchange-rate data, and webhook alerts.
+//
+// Data is stale once the last successful refresh is older than
+// STALE_AFTER_HOURS (default 24). When STALENESS_WEBHOOK_URL is set it
+// receives a JSON POST { event, timestamp, data } for:
+//   - "data.stale"      the data passed the threshold (once per stale spell)
+//   - "refresh.failed"  a refresh job failed
+// The check runs every STALENESS_CHECK_MINUTES (default 15).
+const DEFAULT_STALE_AFTER_HOURS = 24;
+const DEFAULT_CHECK_MINUTES = 15;
+
+let checkTimer = null;
+// Last successful refresh we already sent a "data.stale" alert for
+let alertedRefreshAt = undefined;
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== "" && parsed > 0 ? parsed : fallback;
+};
+
+export const getStaleThresholdSeconds = () =>
+  Math.round(
+    readPositiveNumber(
+      process.env.STALE_AFTER_HOURS,
+      DEFAULT_STALE_AFTER_HOURS
+    ) * 3600
+  );
+
+// { stale, age_seconds, threshold_seconds } for data refreshed at refreshedAt.
+// Data that was never refreshed is stale with no age.
+export const assessStaleness = (refreshedAt, now = Date.now()) => {
+  const thresholdSeconds = getStaleThresholdSeconds();
+
+  if (!refreshedAt) {
+    return {
+      stale: true,
+      age_seconds: null,
+      threshold_seconds: thresholdSeconds,
+    };
+  }
+
+  const ageSeconds = Math.max(
+    0,
+    Math.floor((now - new Date(refreshedAt).getTime()) / 1000)
+  );
+
+  return {
+    stale: ageSeconds > thresholdSeconds,
+    age_seconds: ageSeconds,
+    threshold_seconds: thresholdSeconds,
+  };
+};
+
+// POST an event to STALENESS_WEBHOOK_URL. Never throws - a broken webhook
+// must not break refreshes.
+export const sendStalenessWebhook = async (event, data) => {
+  const url = process.env.STALENESS_WEBHOOK_URL;
+  if (!url) {
+    return false;
+  }
+
+  try {
+    await axios.post(
+      url,
+      { event, timestamp: new Date().toISOString(), data },
+      { timeout: 10000 }
+    );
+    await logger.info(`Webhook sent: ${event}`);
+    return true;
+  } catch (error) {
+    await logger.error(`Webhook failed: ${event}`, { error: error.message });
+    return false;
+  }
+};
+
+export const notifyRefreshFailed = (job) =>
+  sendStalenessWebhook("refresh.failed", {
+    job_id: job.id,
+    trigger: job.trigger,
+    phase: job.phase,
+    errors: job.errors,
+    refresh_id: job.refresh_id,
+    finished_at: job.finished_at,
+  });
+
+// Compare the last successful refresh with the threshold and alert once
+// each time the data goes stale
+export const checkStaleness = async (getLastSuccessfulRefresh) => {
+  const refreshedAt = await getLastSuccessfulRefresh();
+  const staleness = assessStaleness(refreshedAt);
+  const refreshKey = refreshedAt ? new Date(refreshedAt).toISOString() : null;
+
+  if (!staleness.stale) {
+    alertedRefreshAt = undefined;
+    return staleness;
+  }
+
+  if (alertedRefreshAt !== refreshKey) {
+    alertedRefreshAt = refreshKey;
+    await logger.warn("Exchange-rate data is stale", {
+      last_successful_refresh_at: refreshKey,
+      ...staleness,
+    });
+    await sendStalenessWebhook("data.stale", {
+      last_successful_refresh_at: refreshKey,
+      ...staleness,
+    });
+  }
+
+  return staleness;
+};
+
+// Run checkStaleness on an interval
+export const startStalenessMonitor = (getLastSuccessfulRefresh) => {
+  const intervalMinutes = readPositiveNumber(
+    process.env.STALENESS_CHECK_MINUTES,
+    DEFAULT_CHECK_MINUTES
+  );
+
+  const runCheck = () =>
+    checkStaleness(getLastSuccessfulRefresh).catch((error) =>
+      logger.error("Staleness check failed", { error: error.message })
+    );
+
+  checkTimer = setInterval(runCheck, intervalMinutes * 60 * 1000);
+  checkTimer.unref();
+  runCheck();
+
+  logger.info("Staleness monitor enabled", {
+    threshold_seconds: getStaleThresholdSeconds(),
+    check_every_minutes: intervalMinutes,
+    webhook: Boolean(process.env.STALENESS_WEBHOOK_URL),
+  });
+
+  return checkTimer;
+};
+
+export const stopStalenessMonitor = () => {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+};
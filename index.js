@@ -19,6 +19,8 @@ dotenv.config();
 const app = express();
 
 //Add middlewares
+//Bulk string uploads are far larger than the default 100kb body limit
+app.use("/strings/bulk", express.json({ limit: "10mb" }));
 app.use(express.json());
 
 const port = process.env.PORT || 3000;
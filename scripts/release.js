@@ -2,6 +2,7 @@ import pg from "pg";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { reanalyzeStrings } from "../stringManipulation/stringReanalysis.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,6 +42,14 @@ async function runMigrations() {
     await pool.query(stringsSchema);
     console.log("✅ Strings table schema applied");
 
+    // Bring rows from older analysis versions up to date, so the columns the
+    // schema just added hold real values instead of their defaults. Rows that
+    // are already current are skipped, so this is quick once it has run.
+    const reanalysis = await reanalyzeStrings(pool);
+    console.log(
+      `✅ Strings re-analysed: ${reanalysis.rows_updated} of ${reanalysis.rows_scanned} rows updated to version ${reanalysis.analysis_version}`
+    );
+
     // Run users table schema
     const usersSchemaPath = path.join(__dirname, "../userDB/schema.sql");
     const usersSchema = fs.readFileSync(usersSchemaPath, "utf8");
@@ -1,8 +1,20 @@
 import app from "./index.js";
+import {
+  startRefreshJob,
+  getLastSuccessfulRefreshAt,
+} from "./currencyExchange/countryController.js";
+import { startRefreshScheduler } from "./currencyExchange/refreshScheduler.js";
+import { startStalenessMonitor } from "./currencyExchange/stalenessMonitor.js";
 
 const port = process.env.PORT || 3000;
 
 // Start the server
 app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
+
+  // Automatic countries refresh (enabled by REFRESH_CRON)
+  startRefreshScheduler(() => startRefreshJob("scheduled"));
+
+  // Stale data alerts (STALE_AFTER_HOURS / STALENESS_WEBHOOK_URL)
+  startStalenessMonitor(getLastSuccessfulRefreshAt);
 });
@@ -0,0 +1,85 @@
+import pg from "pg";
+import dotenv from "dotenv";
+import { DEFAULT_BATCH_SIZE, reanalyzeStrings } from "./stringReanalysis.js";
+
+const { Pool } = pg;
+dotenv.config();
+
+const pool = new Pool(
+  process.env.DATABASE_URL
+    ? {
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+          rejectUnauthorized: false,
+        },
+      }
+    : {
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        port: process.env.DB_PORT || 5432,
+      }
+);
+
+// node stringManipulation/runReanalysis.js [--all] [--batch-size=500] [--after=<cursor>]
+//   --all         re-check every row, not just rows from an older analysis_version
+//   --after       resume after the cursor printed by an interrupted run
+const parseArgs = (args) => {
+  const options = { all: false, batchSize: DEFAULT_BATCH_SIZE, after: "" };
+
+  args.forEach((arg) => {
+    const [name, value] = arg.split("=");
+    if (name === "--all") {
+      options.all = true;
+    } else if (name === "--batch-size") {
+      options.batchSize = parseInt(value);
+    } else if (name === "--after") {
+      options.after = value || "";
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  });
+
+  if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+    throw new Error("--batch-size must be a positive integer");
+  }
+
+  return options;
+};
+
+async function runReanalysis() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log(
+      options.all
+        ? "Re-analysing all strings..."
+        : "Re-analysing strings from older analysis versions..."
+    );
+
+    const totals = await reanalyzeStrings(pool, {
+      ...options,
+      onBatch: (batch, running) => {
+        console.log(
+          `Batch ${running.batches}: ${batch.scanned} scanned, ${batch.updated} updated (resume with --after=${batch.cursor})`
+        );
+      },
+    });
+
+    console.log(
+      `Re-analysis complete: ${totals.rows_scanned} scanned, ${totals.rows_updated} updated to version ${totals.analysis_version}`
+    );
+    console.log("Rows changed per property:");
+    Object.entries(totals.changed).forEach(([column, rows]) => {
+      console.log(`  ${column}: ${rows}`);
+    });
+  } catch (error) {
+    console.error("Error re-analysing strings:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+runReanalysis();
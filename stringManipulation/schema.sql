@@ -12,9 +12,36 @@ CREATE TABLE IF NOT EXISTS strings (
     starts_with_vowel BOOLEAN NOT NULL,
     ends_with_vowel BOOLEAN NOT NULL,
     character_frequency_map JSONB NOT NULL,
+    entropy DOUBLE PRECISION NOT NULL DEFAULT 0,
+    digit_count INTEGER NOT NULL DEFAULT 0,
+    uppercase_count INTEGER NOT NULL DEFAULT 0,
+    whitespace_count INTEGER NOT NULL DEFAULT 0,
+    punctuation_count INTEGER NOT NULL DEFAULT 0,
+    top_bigrams JSONB NOT NULL DEFAULT '[]',
+    top_trigrams JSONB NOT NULL DEFAULT '[]',
+    script VARCHAR(32),
+    anagram_signature TEXT,
+    analysis_version INTEGER NOT NULL DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Which version of analyzeString computed each row (1 = the original
+-- ASCII-only analysis), so older rows can be re-analysed
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS analysis_version INTEGER NOT NULL DEFAULT 1;
+
+-- Properties added in analysis version 3. Older rows keep the defaults until
+-- they are re-analysed, which scripts/release.js does right after applying
+-- this file (runReanalysis.js does the same by hand)
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS entropy DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS digit_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS uppercase_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS whitespace_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS punctuation_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS top_bigrams JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS top_trigrams JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS script VARCHAR(32);
+ALTER TABLE strings ADD COLUMN IF NOT EXISTS anagram_signature TEXT;
+
 -- Drop existing indexes if they exist
 DROP INDEX IF EXISTS idx_strings_length;
 DROP INDEX IF EXISTS idx_strings_words;
@@ -23,6 +50,12 @@ DROP INDEX IF EXISTS idx_strings_vowel_start;
 DROP INDEX IF EXISTS idx_strings_vowel_end;
 DROP INDEX IF EXISTS idx_strings_created;
 DROP INDEX IF EXISTS idx_strings_text_search;
+DROP INDEX IF EXISTS idx_strings_analysis_version;
+DROP INDEX IF EXISTS idx_strings_entropy;
+DROP INDEX IF EXISTS idx_strings_script;
+DROP INDEX IF EXISTS idx_strings_anagram_signature;
+DROP INDEX IF EXISTS idx_strings_top_bigrams;
+DROP INDEX IF EXISTS idx_strings_top_trigrams;
 
 -- Create indexes
 CREATE INDEX idx_strings_length ON strings(length);
@@ -32,3 +65,9 @@ CREATE INDEX idx_strings_vowel_start ON strings(starts_with_vowel);
 CREATE INDEX idx_strings_vowel_end ON strings(ends_with_vowel);
 CREATE INDEX idx_strings_created ON strings(created_at DESC);
 CREATE INDEX idx_strings_text_search ON strings USING gin(to_tsvector('english', text));
+CREATE INDEX idx_strings_analysis_version ON strings(analysis_version);
+CREATE INDEX idx_strings_entropy ON strings(entropy);
+CREATE INDEX idx_strings_script ON strings(script);
+CREATE INDEX idx_strings_anagram_signature ON strings(anagram_signature);
+CREATE INDEX idx_strings_top_bigrams ON strings USING gin(top_bigrams jsonb_path_ops);
+CREATE INDEX idx_strings_top_trigrams ON strings USING gin(top_trigrams jsonb_path_ops);
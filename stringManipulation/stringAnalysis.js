@@ -0,0 +1,225 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// String analysis behind POST /strings.
+//
+// Everything is counted in graphemes (what a reader sees as one character),
+// so "é" written as e + U+0301 and emoji like "👍🏽" count once. Vowels and
+// consonants are Latin letters after accent folding ("É" is a vowel); letters
+// from other scripts are neither.
+
+// Bump whenever analyzeString's output changes, so stored rows can be found
+// and re-analysed. Version 1 was the original ASCII-only analysis, version 2
+// the Unicode-aware one without entropy, character classes, n-grams, script
+// and anagram signature.
+export const ANALYSIS_VERSION = 3;
+
+// Stored column -> analyzeString property and its PostgreSQL type.
+// analysis_version is written alongside these.
+export const ANALYSED_COLUMNS = {
+  length: { property: "length", type: "int" },
+  vowels: { property: "vowels", type: "int" },
+  consonants: { property: "consonants", type: "int" },
+  words: { property: "words", type: "int" },
+  unique_chars: { property: "uniqueChars", type: "int" },
+  is_palindrome: { property: "isPalindrome", type: "boolean" },
+  starts_with_vowel: { property: "startsWithVowel", type: "boolean" },
+  ends_with_vowel: { property: "endsWithVowel", type: "boolean" },
+  character_frequency_map: { property: "characterFrequencyMap", type: "jsonb" },
+  entropy: { property: "entropy", type: "float8" },
+  digit_count: { property: "digitCount", type: "int" },
+  uppercase_count: { property: "uppercaseCount", type: "int" },
+  whitespace_count: { property: "whitespaceCount", type: "int" },
+  punctuation_count: { property: "punctuationCount", type: "int" },
+  top_bigrams: { property: "topBigrams", type: "jsonb" },
+  top_trigrams: { property: "topTrigrams", type: "jsonb" },
+  script: { property: "script", type: "varchar" },
+  anagram_signature: { property: "anagramSignature", type: "text" },
+};
+
+// How many n-grams of each size are kept
+const TOP_NGRAMS = 5;
+
+// Scripts recognised for `script`, checked in this order. Letters from any
+// other script count as "other".
+const SCRIPTS = [
+  "Latin",
+  "Cyrillic",
+  "Greek",
+  "Arabic",
+  "Hebrew",
+  "Devanagari",
+  "Bengali",
+  "Tamil",
+  "Thai",
+  "Georgian",
+  "Armenian",
+  "Ethiopic",
+  "Hangul",
+  "Hiragana",
+  "Katakana",
+  "Han",
+].map((name) => ({
+  name: name.toLowerCase(),
+  pattern: new RegExp(`^\\p{Script=${name}}`, "u"),
+}));
+
+// Word boundaries and case folding follow this locale (default "en")
+const ANALYSIS_LOCALE = process.env.STRING_ANALYSIS_LOCALE || "en";
+
+const graphemeSegmenter = new Intl.Segmenter(ANALYSIS_LOCALE, {
+  granularity: "grapheme",
+});
+const wordSegmenter = new Intl.Segmenter(ANALYSIS_LOCALE, {
+  granularity: "word",
+});
+
+const VOWELS = new Set("aeiou");
+const CONSONANTS = new Set("bcdfghjklmnpqrstvwxyz");
+
+export const generateSHA256 = (text) => {
+  return crypto.createHash("sha256").update(text).digest("hex");
+};
+
+// Graphemes in NFC, so composed and decomposed accents compare equal
+export const splitGraphemes = (text) =>
+  Array.from(
+    graphemeSegmenter.segment(text.normalize("NFC")),
+    (part) => part.segment
+  );
+
+// Lower-case a grapheme and strip its accents: "É" -> "e"
+const foldGrapheme = (grapheme) =>
+  grapheme
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLocaleLowerCase(ANALYSIS_LOCALE);
+
+// Accent-folded letters and digits only: what palindromes and anagrams compare
+const lettersAndDigits = (folded) =>
+  folded.filter((grapheme) => /[\p{L}\p{N}]/u.test(grapheme));
+
+// Sorted letters and digits: anagrams share a signature. null when there are
+// none, so punctuation-only strings never match.
+const signatureOf = (letters) =>
+  letters.length > 0 ? [...letters].sort().join("") : null;
+
+export const anagramSignature = (text) =>
+  signatureOf(lettersAndDigits(splitGraphemes(text).map(foldGrapheme)));
+
+// Shannon entropy in bits per character, to 4 decimal places
+const shannonEntropy = (frequencies, total) => {
+  if (total === 0) {
+    return 0;
+  }
+  const entropy = Object.values(frequencies).reduce((sum, count) => {
+    const p = count / total;
+    return sum - p * Math.log2(p);
+  }, 0);
+  return Math.round(entropy * 10000) / 10000;
+};
+
+// The most frequent lower-cased n-grams that don't span whitespace,
+// as [{ ngram, count }], most frequent first
+const topNgrams = (graphemes, size) => {
+  const counts = new Map();
+  for (let i = 0; i + size <= graphemes.length; i++) {
+    const window = graphemes.slice(i, i + size);
+    if (window.some((grapheme) => /^\s/u.test(grapheme))) {
+      continue;
+    }
+    const ngram = window.join("");
+    counts.set(ngram, (counts.get(ngram) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    .slice(0, TOP_NGRAMS)
+    .map(([ngram, count]) => ({ ngram, count }));
+};
+
+// The script most letters are written in, or null without letters
+const dominantScript = (graphemes) => {
+  const counts = new Map();
+  graphemes.forEach((grapheme) => {
+    if (!/^\p{L}/u.test(grapheme)) {
+      return;
+    }
+    const script = SCRIPTS.find(({ pattern }) => pattern.test(grapheme));
+    const name = script ? script.name : "other";
+    counts.set(name, (counts.get(name) || 0) + 1);
+  });
+
+  let dominant = null;
+  counts.forEach((count, name) => {
+    if (dominant === null || count > counts.get(dominant)) {
+      dominant = name;
+    }
+  });
+  return dominant;
+};
+
+const countMatching = (graphemes, pattern) =>
+  graphemes.filter((grapheme) => pattern.test(grapheme)).length;
+
+// analysis as stored column values, in ANALYSED_COLUMNS order
+export const toColumnValues = (analysis) =>
+  Object.values(ANALYSED_COLUMNS).map(({ property, type }) =>
+    type === "jsonb" ? JSON.stringify(analysis[property]) : analysis[property]
+  );
+
+export const analyzeString = (text) => {
+  const graphemes = splitGraphemes(text);
+  const folded = graphemes.map(foldGrapheme);
+
+  const vowels = folded.filter((grapheme) => VOWELS.has(grapheme)).length;
+  const consonants = folded.filter((grapheme) =>
+    CONSONANTS.has(grapheme)
+  ).length;
+
+  let words = 0;
+  for (const segment of wordSegmenter.segment(text)) {
+    if (segment.isWordLike) {
+      words++;
+    }
+  }
+
+  // Palindromes ignore case, accents, spaces and punctuation
+  const cleanText = lettersAndDigits(folded);
+  const isPalindrome = cleanText.join("") === [...cleanText].reverse().join("");
+
+  const lowerGraphemes = graphemes.map((grapheme) =>
+    grapheme.toLocaleLowerCase(ANALYSIS_LOCALE)
+  );
+
+  const characterFrequencyMap = {};
+  for (const grapheme of graphemes) {
+    characterFrequencyMap[grapheme] =
+      (characterFrequencyMap[grapheme] || 0) + 1;
+  }
+
+  return {
+    length: graphemes.length,
+    vowels,
+    consonants,
+    words,
+    uniqueChars: Object.keys(characterFrequencyMap).length,
+    isPalindrome,
+    startsWithVowel: VOWELS.has(folded[0]),
+    endsWithVowel: VOWELS.has(folded[folded.length - 1]),
+    characterFrequencyMap,
+    entropy: shannonEntropy(characterFrequencyMap, graphemes.length),
+    digitCount: countMatching(graphemes, /^\p{Nd}/u),
+    uppercaseCount: countMatching(graphemes, /^\p{Lu}/u),
+    whitespaceCount: countMatching(graphemes, /^\s/u),
+    punctuationCount: countMatching(graphemes, /^\p{P}/u),
+    topBigrams: topNgrams(lowerGraphemes, 2),
+    topTrigrams: topNgrams(lowerGraphemes, 3),
+    script: dominantScript(graphemes),
+    anagramSignature: signatureOf(cleanText),
+    sha256Hash: generateSHA256(text),
+    analysisVersion: ANALYSIS_VERSION,
+  };
+};
@@ -1,7 +1,20 @@
 import pg from "pg";
 import dotenv from "dotenv";
-import crypto from "crypto";
 import { createLogger } from "../utils/logger.js";
+import {
+  analyzeString,
+  anagramSignature,
+  ANALYSED_COLUMNS,
+  generateSHA256,
+  splitGraphemes,
+  toColumnValues,
+} from "./stringAnalysis.js";
+import {
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  reanalyzeStrings,
+} from "./stringReanalysis.js";
+import { levenshtein, similarityScore } from "./stringSimilarity.js";
 
 // Create logger for this module
 const logger = createLogger("stringManipulation");
@@ -29,47 +42,37 @@ const pool = new Pool(
       }
 );
 
-// Helper function to generate SHA-256 hash
-const generateSHA256 = (text) => {
-  return crypto.createHash("sha256").update(text).digest("hex");
-};
-
-// Helper function to analyze string properties
-const analyzeString = (text) => {
-  const length = text.length;
-  const vowels = (text.match(/[aeiouAEIOU]/g) || []).length;
-  const consonants = (
-    text.match(/[bcdfghjklmnpqrstvwxyzBCDFGHJKLMNPQRSTVWXYZ]/g) || []
-  ).length;
-  const words = text
-    .trim()
-    .split(/\s+/)
-    .filter((word) => word.length > 0).length;
-  const uniqueChars = new Set(text).size;
-  const cleanText = text.toLowerCase().replace(/[^a-z0-9]/g, "");
-  const isPalindrome = cleanText === cleanText.split("").reverse().join("");
-
-  // Calculate character frequency map
-  const characterFrequencyMap = {};
-  for (const char of text) {
-    characterFrequencyMap[char] = (characterFrequencyMap[char] || 0) + 1;
-  }
-
-  const sha256Hash = generateSHA256(text);
-
-  return {
-    length,
-    vowels,
-    consonants,
-    words,
-    uniqueChars,
-    isPalindrome,
-    startsWithVowel: /^[aeiouAEIOU]/.test(text),
-    endsWithVowel: /[aeiouAEIOU]$/.test(text),
-    characterFrequencyMap,
-    sha256Hash,
-  };
-};
+// Whether another stored string has the same anagram signature. It depends on
+// the other rows, so it's worked out when reading rather than stored.
+const IS_ANAGRAM_DUPLICATE_SQL = `EXISTS (
+  SELECT 1 FROM strings other
+  WHERE other.anagram_signature = strings.anagram_signature
+    AND other.sha256_hash <> strings.sha256_hash
+)`;
+
+// Properties added in analysis version 3
+const EXTENDED_PROPERTY_COLUMNS = `
+  entropy,
+  digit_count as "digitCount",
+  uppercase_count as "uppercaseCount",
+  whitespace_count as "whitespaceCount",
+  punctuation_count as "punctuationCount",
+  top_bigrams as "topBigrams",
+  top_trigrams as "topTrigrams",
+  script,
+  ${IS_ANAGRAM_DUPLICATE_SQL} as "isAnagramDuplicate"`;
+
+const formatExtendedProperties = (row) => ({
+  entropy: row.entropy,
+  digit_count: row.digitCount,
+  uppercase_count: row.uppercaseCount,
+  whitespace_count: row.whitespaceCount,
+  punctuation_count: row.punctuationCount,
+  top_bigrams: row.topBigrams,
+  top_trigrams: row.topTrigrams,
+  script: row.script,
+  is_anagram_duplicate: row.isAnagramDuplicate,
+});
 
 // Create string entry
 export const createString = async (req, res) => {
@@ -127,13 +130,19 @@ export const createString = async (req, res) => {
       });
     }
 
+    const values = [
+      sha256Hash,
+      value,
+      ...toColumnValues(analysis),
+      analysis.analysisVersion,
+    ];
+
     const query = `
       INSERT INTO strings (
-        sha256_hash, text, length, vowels, consonants, words, 
-        unique_chars, is_palindrome, starts_with_vowel, ends_with_vowel,
-        character_frequency_map
+        sha256_hash, text, ${Object.keys(ANALYSED_COLUMNS).join(", ")},
+        analysis_version
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      VALUES (${values.map((_, i) => `$${i + 1}`).join(", ")})
       RETURNING 
         sha256_hash as id,
         text as value,
@@ -146,24 +155,12 @@ export const createString = async (req, res) => {
         starts_with_vowel as "startsWithVowel",
         ends_with_vowel as "endsWithVowel",
         character_frequency_map as "characterFrequencyMap",
+        analysis_version as "analysisVersion",
+        ${EXTENDED_PROPERTY_COLUMNS},
         sha256_hash as "sha256Hash",
         created_at as "createdAt"
     `;
 
-    const values = [
-      sha256Hash,
-      value,
-      analysis.length,
-      analysis.vowels,
-      analysis.consonants,
-      analysis.words,
-      analysis.uniqueChars,
-      analysis.isPalindrome,
-      analysis.startsWithVowel,
-      analysis.endsWithVowel,
-      JSON.stringify(analysis.characterFrequencyMap),
-    ];
-
     const result = await pool.query(query, values);
     const row = result.rows[0];
     const duration = Date.now() - startTime;
@@ -191,6 +188,8 @@ export const createString = async (req, res) => {
         word_count: row.words,
         sha256_hash: row.sha256Hash,
         character_frequency_map: row.characterFrequencyMap, // No JSON.parse needed - PostgreSQL returns JSONB as object
+        analysis_version: row.analysisVersion,
+        ...formatExtendedProperties(row),
       },
       created_at: row.createdAt,
     });
@@ -208,6 +207,348 @@ export const createString = async (req, res) => {
   }
 };
 
+// Bulk ingestion limits for POST /strings/bulk
+const BULK_MAX_ITEMS = 10000;
+const BULK_BATCH_SIZE = 500;
+
+// Batches POST /strings/reanalyze runs per request unless told otherwise
+const DEFAULT_REANALYSIS_BATCHES = 20;
+
+// Same rules as createString, plus NUL characters, which PostgreSQL text
+// columns reject
+const validateBulkValue = (value) => {
+  if (typeof value !== "string") {
+    return "must be a string";
+  }
+  if (value.trim().length === 0) {
+    return "must not be empty";
+  }
+  if (value.includes("\u0000")) {
+    return "must not contain NUL characters";
+  }
+  return null;
+};
+
+// Turn the request body into [{ index, line?, value, error? }].
+// JSON bodies are an array of strings (or { value } objects); NDJSON and
+// plain-text bodies hold one entry per line, and blank lines are skipped.
+const parseBulkBody = (req) => {
+  if (Array.isArray(req.body)) {
+    return {
+      entries: req.body.map((item, index) => ({
+        index,
+        value:
+          item && typeof item === "object" && !Array.isArray(item)
+            ? item.value
+            : item,
+      })),
+    };
+  }
+
+  if (typeof req.body !== "string") {
+    return {
+      error:
+        "must be a JSON array, NDJSON or plain text with one string per line",
+    };
+  }
+
+  const isNdjson = Boolean(req.is("application/x-ndjson"));
+  const entries = [];
+
+  req.body.split(/\r?\n/).forEach((text, lineIndex) => {
+    if (isNdjson ? text.trim().length === 0 : text.length === 0) {
+      return;
+    }
+
+    const entry = { index: entries.length, line: lineIndex + 1 };
+    if (!isNdjson) {
+      entry.value = text;
+    } else {
+      try {
+        const item = JSON.parse(text);
+        entry.value =
+          item && typeof item === "object" && !Array.isArray(item)
+            ? item.value
+            : item;
+      } catch {
+        entry.error = "is not valid JSON";
+      }
+    }
+    entries.push(entry);
+  });
+
+  return { entries };
+};
+
+// Insert analysed rows in one statement. Rows that already exist are left
+// alone, so only the hashes that were actually created come back.
+const insertStringBatch = async (rows) => {
+  const columns = Object.entries(ANALYSED_COLUMNS);
+  const values = rows.map((row) => toColumnValues(row.analysis));
+
+  const result = await pool.query(
+    `INSERT INTO strings (
+       sha256_hash, text, ${columns.map(([column]) => column).join(", ")},
+       analysis_version
+     )
+     SELECT * FROM UNNEST(
+       $1::varchar[], $2::text[],
+       ${columns.map(([, { type }], i) => `$${i + 3}::${type}[]`).join(", ")},
+       $${columns.length + 3}::int[]
+     )
+     ON CONFLICT (sha256_hash) DO NOTHING
+     RETURNING sha256_hash as id, created_at as "createdAt"`,
+    [
+      rows.map((row) => row.analysis.sha256Hash),
+      rows.map((row) => row.value),
+      ...columns.map((_, i) => values.map((row) => row[i])),
+      rows.map((row) => row.analysis.analysisVersion),
+    ]
+  );
+
+  return new Map(result.rows.map((row) => [row.id, row.createdAt]));
+};
+
+// Bulk create strings from a JSON array or an NDJSON / plain-text upload
+export const bulkCreateStrings = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { entries, error } = parseBulkBody(req);
+
+    if (error) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: { body: error },
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: { body: "must contain at least one string" },
+      });
+    }
+
+    if (entries.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: {
+          body: `must contain at most ${BULK_MAX_ITEMS} strings (got ${entries.length})`,
+        },
+      });
+    }
+
+    await logger.info("Bulk creating strings", { received: entries.length });
+
+    // One result per entry, in input order
+    const results = entries.map((entry) => {
+      const result = { index: entry.index };
+      if (entry.line !== undefined) {
+        result.line = entry.line;
+      }
+      return result;
+    });
+
+    // Analyse every valid entry; repeats within the upload are duplicates of
+    // their first occurrence
+    const pending = [];
+    const seenHashes = new Set();
+
+    entries.forEach((entry, position) => {
+      const result = results[position];
+      const validationError = entry.error || validateBulkValue(entry.value);
+
+      if (validationError) {
+        result.status = "invalid";
+        result.error = `value ${validationError}`;
+        return;
+      }
+
+      const analysis = analyzeString(entry.value);
+      if (seenHashes.has(analysis.sha256Hash)) {
+        result.status = "duplicate";
+        result.existing_id = analysis.sha256Hash;
+        return;
+      }
+
+      seenHashes.add(analysis.sha256Hash);
+      pending.push({ position, value: entry.value, analysis });
+    });
+
+    const applyInserted = (rows, inserted) => {
+      rows.forEach((row) => {
+        const result = results[row.position];
+        const hash = row.analysis.sha256Hash;
+        if (inserted.has(hash)) {
+          result.status = "created";
+          result.id = hash;
+          result.created_at = inserted.get(hash);
+        } else {
+          result.status = "duplicate";
+          result.existing_id = hash;
+        }
+      });
+    };
+
+    // A failed batch is retried row by row so one bad row cannot take the
+    // rest of its batch down with it
+    let failedBatches = 0;
+    for (let start = 0; start < pending.length; start += BULK_BATCH_SIZE) {
+      const batch = pending.slice(start, start + BULK_BATCH_SIZE);
+
+      try {
+        applyInserted(batch, await insertStringBatch(batch));
+      } catch (batchError) {
+        failedBatches++;
+        await logger.warn("Bulk insert batch failed, retrying row by row", {
+          batch_start: start,
+          batch_size: batch.length,
+          error: batchError.message,
+        });
+
+        for (const row of batch) {
+          try {
+            applyInserted([row], await insertStringBatch([row]));
+          } catch (rowError) {
+            const result = results[row.position];
+            result.status = "failed";
+            result.error = "Could not be stored";
+            await logger.error("Bulk insert row failed", {
+              hash: row.analysis.sha256Hash,
+              error: rowError.message,
+            });
+          }
+        }
+      }
+    }
+
+    const summary = {
+      received: entries.length,
+      created: 0,
+      duplicate: 0,
+      invalid: 0,
+      failed: 0,
+    };
+    results.forEach((result) => {
+      summary[result.status]++;
+    });
+
+    const duration = Date.now() - startTime;
+
+    await logger.success("Bulk string creation finished", {
+      ...summary,
+      failed_batches: failedBatches,
+      duration_ms: duration,
+    });
+
+    await logger.dbLog("INSERT", "strings", duration, summary.created, {
+      batches: Math.ceil(pending.length / BULK_BATCH_SIZE),
+      failed_batches: failedBatches,
+    });
+
+    return res.status(summary.created > 0 ? 201 : 200).json({
+      status: "success",
+      summary,
+      results,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    await logger.error("Error bulk creating strings", {
+      error: error.message,
+      duration_ms: duration,
+    });
+
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Re-run the current analysis over stored strings, a few batches per request.
+// Call again with the returned next_cursor until done is true.
+export const reanalyzeStoredStrings = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const {
+      batch_size = DEFAULT_BATCH_SIZE,
+      max_batches = DEFAULT_REANALYSIS_BATCHES,
+      after,
+      all = false,
+    } = req.body || {};
+    const errors = {};
+
+    const batchSize = Number(batch_size);
+    if (
+      !Number.isInteger(batchSize) ||
+      batchSize < 1 ||
+      batchSize > MAX_BATCH_SIZE
+    ) {
+      errors.batch_size = `must be an integer between 1 and ${MAX_BATCH_SIZE}`;
+    }
+
+    const maxBatches = Number(max_batches);
+    if (!Number.isInteger(maxBatches) || maxBatches < 1) {
+      errors.max_batches = "must be a positive integer";
+    }
+
+    if (
+      after !== undefined &&
+      after !== null &&
+      !/^[a-f0-9]{64}$/.test(String(after))
+    ) {
+      errors.after = "must be a next_cursor from a previous run";
+    }
+
+    if (typeof all !== "boolean" && all !== "true" && all !== "false") {
+      errors.all = "must be true or false";
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const totals = await reanalyzeStrings(pool, {
+      after: after || "",
+      batchSize,
+      maxBatches,
+      all: all === true || all === "true",
+    });
+    const duration = Date.now() - startTime;
+
+    await logger.success("Strings re-analysed", {
+      ...totals,
+      duration_ms: duration,
+    });
+
+    await logger.dbLog("UPDATE", "strings", duration, totals.rows_updated, {
+      batches: totals.batches,
+      analysis_version: totals.analysis_version,
+    });
+
+    return res.status(200).json({
+      status: "success",
+      ...totals,
+      duration_ms: duration,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    await logger.error("Error re-analysing strings", {
+      error: error.message,
+      duration_ms: Date.now() - startTime,
+    });
+
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
 // Get string by ID (SHA-256 hash)
 export const getStringById = async (req, res) => {
   try {
@@ -234,6 +575,8 @@ export const getStringById = async (req, res) => {
         starts_with_vowel as "startsWithVowel",
         ends_with_vowel as "endsWithVowel",
         character_frequency_map as "characterFrequencyMap",
+        analysis_version as "analysisVersion",
+        ${EXTENDED_PROPERTY_COLUMNS},
         sha256_hash as "sha256Hash",
         created_at as "createdAt"
       FROM strings
@@ -260,6 +603,8 @@ export const getStringById = async (req, res) => {
         word_count: row.words,
         sha256_hash: row.sha256Hash,
         character_frequency_map: row.characterFrequencyMap,
+        analysis_version: row.analysisVersion,
+        ...formatExtendedProperties(row),
       },
       created_at: row.createdAt,
     });
@@ -302,6 +647,8 @@ export const getStringByValue = async (req, res) => {
         starts_with_vowel as "startsWithVowel",
         ends_with_vowel as "endsWithVowel",
         character_frequency_map as "characterFrequencyMap",
+        analysis_version as "analysisVersion",
+        ${EXTENDED_PROPERTY_COLUMNS},
         sha256_hash as "sha256Hash",
         created_at as "createdAt"
       FROM strings
@@ -328,6 +675,8 @@ export const getStringByValue = async (req, res) => {
         word_count: row.words,
         sha256_hash: row.sha256Hash,
         character_frequency_map: row.characterFrequencyMap,
+        analysis_version: row.analysisVersion,
+        ...formatExtendedProperties(row),
       },
       created_at: row.createdAt,
     });
@@ -339,6 +688,104 @@ export const getStringByValue = async (req, res) => {
   }
 };
 
+// Range filters on GET /strings for the properties added in analysis
+// version 3: query parameter -> [column, operator]
+const RANGE_FILTERS = {
+  min_entropy: ["entropy", ">="],
+  max_entropy: ["entropy", "<="],
+  min_digit_count: ["digit_count", ">="],
+  max_digit_count: ["digit_count", "<="],
+  min_uppercase_count: ["uppercase_count", ">="],
+  max_uppercase_count: ["uppercase_count", "<="],
+  min_whitespace_count: ["whitespace_count", ">="],
+  max_whitespace_count: ["whitespace_count", "<="],
+  min_punctuation_count: ["punctuation_count", ">="],
+  max_punctuation_count: ["punctuation_count", "<="],
+};
+
+// Validate the filters on the newer properties. Each filter comes back as
+// { value, condition(placeholder) } so it can be numbered into the query.
+const parseExtendedFilters = (query) => {
+  const filters = [];
+  const filtersApplied = {};
+  const errors = {};
+
+  Object.entries(RANGE_FILTERS).forEach(([param, [column, operator]]) => {
+    if (query[param] === undefined) {
+      return;
+    }
+    const isEntropy = column === "entropy";
+    const value = Number(query[param]);
+    if (
+      query[param] === "" ||
+      !Number.isFinite(value) ||
+      value < 0 ||
+      (!isEntropy && !Number.isInteger(value))
+    ) {
+      errors[param] = isEntropy
+        ? "must be a non-negative number"
+        : "must be a non-negative integer";
+      return;
+    }
+    filters.push({
+      value,
+      condition: (placeholder) => `${column} ${operator} ${placeholder}`,
+    });
+    filtersApplied[param] = value;
+  });
+
+  if (query.script !== undefined) {
+    if (typeof query.script !== "string" || !/^[a-z]+$/i.test(query.script)) {
+      errors.script = "must be a script name, e.g. latin or cyrillic";
+    } else {
+      const script = query.script.toLowerCase();
+      filters.push({
+        value: script,
+        condition: (placeholder) => `script = ${placeholder}`,
+      });
+      filtersApplied.script = script;
+    }
+  }
+
+  [
+    ["bigram", "top_bigrams", 2],
+    ["trigram", "top_trigrams", 3],
+  ].forEach(([param, column, size]) => {
+    if (query[param] === undefined) {
+      return;
+    }
+    if (
+      typeof query[param] !== "string" ||
+      splitGraphemes(query[param]).length !== size
+    ) {
+      errors[param] = `must be ${size} characters`;
+      return;
+    }
+    const ngram = splitGraphemes(query[param].toLowerCase()).join("");
+    filters.push({
+      value: JSON.stringify([{ ngram }]),
+      condition: (placeholder) => `${column} @> ${placeholder}::jsonb`,
+    });
+    filtersApplied[param] = ngram;
+  });
+
+  if (query.is_anagram_duplicate !== undefined) {
+    if (!["true", "false"].includes(query.is_anagram_duplicate)) {
+      errors.is_anagram_duplicate = "must be true or false";
+    } else {
+      const value = query.is_anagram_duplicate === "true";
+      filters.push({
+        value,
+        condition: (placeholder) =>
+          `${IS_ANAGRAM_DUPLICATE_SQL} = ${placeholder}`,
+      });
+      filtersApplied.is_anagram_duplicate = value;
+    }
+  }
+
+  return { filters, filtersApplied, errors };
+};
+
 // Get all strings with optional filtering
 export const getAllStrings = async (req, res) => {
   try {
@@ -360,11 +807,20 @@ export const getAllStrings = async (req, res) => {
       offset = 0,
     } = req.query;
 
+    const extended = parseExtendedFilters(req.query);
+    if (Object.keys(extended.errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: extended.errors,
+      });
+    }
+
     // Track which filters were applied
-    const filtersApplied = {};
+    const filtersApplied = { ...extended.filtersApplied };
 
     // Check if at least one filter is provided
     const hasFilters = !!(
+      extended.filters.length > 0 ||
       min_length ||
       max_length ||
       is_palindrome !== undefined ||
@@ -401,6 +857,8 @@ export const getAllStrings = async (req, res) => {
         starts_with_vowel as "startsWithVowel",
         ends_with_vowel as "endsWithVowel",
         character_frequency_map as "characterFrequencyMap",
+        analysis_version as "analysisVersion",
+        ${EXTENDED_PROPERTY_COLUMNS},
         sha256_hash as "sha256Hash",
         created_at as "createdAt"
       FROM strings
@@ -488,6 +946,13 @@ export const getAllStrings = async (req, res) => {
       filtersApplied.contains_character = contains_character;
     }
 
+    // Filters on the newer properties
+    extended.filters.forEach((filter) => {
+      queryText += ` AND ${filter.condition(`$${paramCount}`)}`;
+      params.push(filter.value);
+      paramCount++;
+    });
+
     // Sorting
     const validSortFields = [
       "createdAt",
@@ -495,6 +960,7 @@ export const getAllStrings = async (req, res) => {
       "words",
       "vowels",
       "consonants",
+      "entropy",
     ];
     const sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
     const sortOrder = order.toUpperCase() === "ASC" ? "ASC" : "DESC";
@@ -505,6 +971,7 @@ export const getAllStrings = async (req, res) => {
       words: "words",
       vowels: "vowels",
       consonants: "consonants",
+      entropy: "entropy",
     };
 
     queryText += ` ORDER BY ${sortFieldMap[sortField]} ${sortOrder}`;
@@ -526,6 +993,8 @@ export const getAllStrings = async (req, res) => {
         word_count: row.words,
         sha256_hash: row.sha256Hash,
         character_frequency_map: row.characterFrequencyMap,
+        analysis_version: row.analysisVersion,
+        ...formatExtendedProperties(row),
       },
       created_at: row.createdAt,
     }));
@@ -543,6 +1012,259 @@ export const getAllStrings = async (req, res) => {
   }
 };
 
+// Limits for the anagram and similarity searches
+const DEFAULT_MATCH_LIMIT = 20;
+const MAX_MATCH_LIMIT = 100;
+const DEFAULT_MAX_DISTANCE = 2;
+const MAX_MAX_DISTANCE = 5;
+const MAX_SIMILAR_VALUE_LENGTH = 100;
+// Rows a similarity search reads per query while scanning its candidates
+const SIMILAR_SCAN_BATCH_SIZE = 5000;
+
+const STRING_COLUMNS = `
+  sha256_hash as id,
+  text as value,
+  length,
+  vowels,
+  consonants,
+  words,
+  unique_chars as "uniqueCharacters",
+  is_palindrome as "isPalindrome",
+  starts_with_vowel as "startsWithVowel",
+  ends_with_vowel as "endsWithVowel",
+  character_frequency_map as "characterFrequencyMap",
+  analysis_version as "analysisVersion",
+  ${EXTENDED_PROPERTY_COLUMNS},
+  sha256_hash as "sha256Hash",
+  created_at as "createdAt"`;
+
+const formatStringRow = (row) => ({
+  id: row.id,
+  value: row.value,
+  properties: {
+    length: row.length,
+    is_palindrome: row.isPalindrome,
+    unique_characters: row.uniqueCharacters,
+    word_count: row.words,
+    sha256_hash: row.sha256Hash,
+    character_frequency_map: row.characterFrequencyMap,
+    analysis_version: row.analysisVersion,
+    ...formatExtendedProperties(row),
+  },
+  created_at: row.createdAt,
+});
+
+// Integer query parameter within [min, max], or fallback when absent
+const parseBoundedInteger = (value, fallback, min, max) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const parsed = Number(value);
+  return value !== "" &&
+    Number.isInteger(parsed) &&
+    parsed >= min &&
+    parsed <= max
+    ? parsed
+    : null;
+};
+
+// Stored strings that are anagrams of the given string, closest
+// rearrangements (by edit distance) first
+export const getStringAnagrams = async (req, res) => {
+  try {
+    const value = decodeURIComponent(req.params.string_value);
+    const errors = {};
+
+    const signature = anagramSignature(value);
+    if (!signature) {
+      errors.string_value = "must contain at least one letter or digit";
+    }
+
+    const limit = parseBoundedInteger(
+      req.query.limit,
+      DEFAULT_MATCH_LIMIT,
+      1,
+      MAX_MATCH_LIMIT
+    );
+    if (limit === null) {
+      errors.limit = `must be an integer between 1 and ${MAX_MATCH_LIMIT}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT ${STRING_COLUMNS}
+       FROM strings
+       WHERE anagram_signature = $1 AND sha256_hash <> $2`,
+      [signature, generateSHA256(value)]
+    );
+
+    const data = result.rows
+      .map((row) => ({
+        ...formatStringRow(row),
+        score: similarityScore(value, row.value, levenshtein(value, row.value)),
+      }))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)
+      )
+      .slice(0, limit);
+
+    return res.status(200).json({
+      data,
+      count: data.length,
+      total: result.rows.length,
+      interpreted_query: {
+        value,
+        anagram_signature: signature,
+        limit,
+      },
+    });
+  } catch (error) {
+    console.error("Error finding anagrams:", error);
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// Stored strings within max_distance edits of ?value=, most similar first
+export const getSimilarStrings = async (req, res) => {
+  try {
+    const { value } = req.query;
+    const errors = {};
+
+    if (typeof value !== "string" || value.trim().length === 0) {
+      errors.value = "is required";
+    } else if (splitGraphemes(value).length > MAX_SIMILAR_VALUE_LENGTH) {
+      errors.value = `must be at most ${MAX_SIMILAR_VALUE_LENGTH} characters`;
+    }
+
+    const maxDistance = parseBoundedInteger(
+      req.query.max_distance,
+      DEFAULT_MAX_DISTANCE,
+      0,
+      MAX_MAX_DISTANCE
+    );
+    if (maxDistance === null) {
+      errors.max_distance = `must be an integer between 0 and ${MAX_MAX_DISTANCE}`;
+    }
+
+    const limit = parseBoundedInteger(
+      req.query.limit,
+      DEFAULT_MATCH_LIMIT,
+      1,
+      MAX_MATCH_LIMIT
+    );
+    if (limit === null) {
+      errors.limit = `must be an integer between 1 and ${MAX_MATCH_LIMIT}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors,
+      });
+    }
+
+    // Each edit changes the length by at most one, so only strings within
+    // max_distance of the value's length can match
+    const length = splitGraphemes(value).length;
+    const valueHash = generateSHA256(value);
+
+    // Most similar first; ties go to the smaller distance, then the text
+    const byRank = (a, b) =>
+      b.score - a.score ||
+      a.distance - b.distance ||
+      (a.text < b.text ? -1 : a.text > b.text ? 1 : 0);
+
+    // Every candidate is compared, a batch at a time in hash order, keeping
+    // only the best `limit` matches, so the ranking never depends on which
+    // rows the database happened to return first
+    let matches = [];
+    let candidatesScanned = 0;
+    let after = "";
+    for (;;) {
+      const candidates = await pool.query(
+        `SELECT sha256_hash as id, text
+         FROM strings
+         WHERE length BETWEEN $1 AND $2 AND sha256_hash <> $3
+           AND sha256_hash > $4
+         ORDER BY sha256_hash
+         LIMIT $5`,
+        [
+          length - maxDistance,
+          length + maxDistance,
+          valueHash,
+          after,
+          SIMILAR_SCAN_BATCH_SIZE,
+        ]
+      );
+      candidatesScanned += candidates.rows.length;
+
+      candidates.rows.forEach((row) => {
+        const distance = levenshtein(value, row.text, maxDistance);
+        if (distance <= maxDistance) {
+          matches.push({
+            id: row.id,
+            text: row.text,
+            distance,
+            score: similarityScore(value, row.text, distance),
+          });
+        }
+      });
+      matches = matches.sort(byRank).slice(0, limit);
+
+      if (candidates.rows.length < SIMILAR_SCAN_BATCH_SIZE) {
+        break;
+      }
+      after = candidates.rows[candidates.rows.length - 1].id;
+    }
+
+    let data = [];
+    if (matches.length > 0) {
+      const result = await pool.query(
+        `SELECT ${STRING_COLUMNS}
+         FROM strings
+         WHERE sha256_hash = ANY($1)`,
+        [matches.map((match) => match.id)]
+      );
+      const rowsById = new Map(result.rows.map((row) => [row.id, row]));
+
+      // A match deleted in the meantime is simply left out
+      data = matches
+        .filter((match) => rowsById.has(match.id))
+        .map((match) => ({
+          ...formatStringRow(rowsById.get(match.id)),
+          score: match.score,
+          distance: match.distance,
+        }));
+    }
+
+    return res.status(200).json({
+      data,
+      count: data.length,
+      candidates_scanned: candidatesScanned,
+      interpreted_query: {
+        value,
+        max_distance: maxDistance,
+        limit,
+      },
+    });
+  } catch (error) {
+    console.error("Error finding similar strings:", error);
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
 // Delete string by string value
 export const deleteString = async (req, res) => {
   try {
@@ -615,6 +1337,8 @@ export const processNaturalQueryGet = async (req, res) => {
         word_count: row.words,
         sha256_hash: row.sha256_hash,
         character_frequency_map: row.characterFrequencyMap || {},
+        analysis_version: row.analysisVersion,
+        ...formatExtendedProperties(row),
       },
       created_at: row.createdAt,
     }));
@@ -650,6 +1374,8 @@ const parseNaturalLanguageQuery = (query) => {
       starts_with_vowel as "startsWithVowel",
       ends_with_vowel as "endsWithVowel", 
       character_frequency_map as "characterFrequencyMap",
+      analysis_version as "analysisVersion",
+      ${EXTENDED_PROPERTY_COLUMNS},
       created_at as "createdAt"
     FROM strings
     WHERE 1=1
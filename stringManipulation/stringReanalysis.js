@@ -0,0 +1,175 @@
+import {
+  analyzeString,
+  ANALYSED_COLUMNS,
+  ANALYSIS_VERSION,
+  toColumnValues,
+} from "./stringAnalysis.js";
+
+// Re-run analyzeString over stored strings (POST /strings/reanalyze and
+// runReanalysis.js).
+//
+// Rows are walked in sha256_hash order, one batch at a time, and each batch
+// is written in a single UPDATE. By default only rows from an older
+// analysis_version are visited, so a run that stops part way can simply be
+// started again; next_cursor resumes from an exact position instead.
+
+export const DEFAULT_BATCH_SIZE = 500;
+export const MAX_BATCH_SIZE = 5000;
+
+// JSON with object keys sorted, so stored JSONB (which reorders keys)
+// compares equal to freshly computed values
+const canonicalJson = (value) =>
+  JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.keys(nested)
+            .sort()
+            .map((name) => [name, nested[name]])
+        )
+      : nested
+  );
+
+const sameValue = (stored, computed, type) =>
+  type === "jsonb"
+    ? canonicalJson(stored) === canonicalJson(computed)
+    : stored === computed;
+
+const writeBatch = async (pool, updates) => {
+  const columns = Object.entries(ANALYSED_COLUMNS);
+  const values = updates.map((update) => toColumnValues(update.analysis));
+
+  await pool.query(
+    `UPDATE strings AS s
+     SET ${columns.map(([column]) => `${column} = u.${column}`).join(", ")},
+         analysis_version = u.analysis_version
+     FROM UNNEST(
+       $1::varchar[],
+       ${columns.map(([, { type }], i) => `$${i + 2}::${type}[]`).join(", ")},
+       $${columns.length + 2}::int[]
+     ) AS u(sha256_hash, ${columns.map(([column]) => column).join(", ")}, analysis_version)
+     WHERE s.sha256_hash = u.sha256_hash`,
+    [
+      updates.map((update) => update.hash),
+      ...columns.map((_, i) => values.map((row) => row[i])),
+      updates.map((update) => update.analysis.analysisVersion),
+    ]
+  );
+};
+
+// Re-analyse the batch after `after`. Returns null once there are no more
+// rows, otherwise { scanned, updated, changed: { column: rows }, cursor }.
+export const reanalyzeBatch = async (
+  pool,
+  { after = "", batchSize = DEFAULT_BATCH_SIZE, all = false } = {}
+) => {
+  const result = await pool.query(
+    `SELECT sha256_hash, text, analysis_version,
+       ${Object.keys(ANALYSED_COLUMNS).join(", ")}
+     FROM strings
+     WHERE sha256_hash > $1 AND ($2 OR analysis_version <> $3)
+     ORDER BY sha256_hash
+     LIMIT $4`,
+    [after, all, ANALYSIS_VERSION, batchSize]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const changed = {};
+  const updates = [];
+
+  result.rows.forEach((row) => {
+    const analysis = analyzeString(row.text);
+    const changedColumns = Object.entries(ANALYSED_COLUMNS)
+      .filter(
+        ([column, { property, type }]) =>
+          !sameValue(row[column], analysis[property], type)
+      )
+      .map(([column]) => column);
+
+    changedColumns.forEach((column) => {
+      changed[column] = (changed[column] || 0) + 1;
+    });
+
+    if (
+      changedColumns.length > 0 ||
+      row.analysis_version !== analysis.analysisVersion
+    ) {
+      updates.push({ hash: row.sha256_hash, analysis });
+    }
+  });
+
+  if (updates.length > 0) {
+    await writeBatch(pool, updates);
+  }
+
+  return {
+    scanned: result.rows.length,
+    updated: updates.length,
+    changed,
+    cursor: result.rows[result.rows.length - 1].sha256_hash,
+  };
+};
+
+// Run batches until the table is exhausted or maxBatches have run.
+// onBatch(batch, totals) is called after each batch is written.
+export const reanalyzeStrings = async (
+  pool,
+  {
+    after = "",
+    batchSize = DEFAULT_BATCH_SIZE,
+    maxBatches = Infinity,
+    all = false,
+    onBatch,
+  } = {}
+) => {
+  const totals = {
+    analysis_version: ANALYSIS_VERSION,
+    batches: 0,
+    rows_scanned: 0,
+    rows_updated: 0,
+    changed: Object.fromEntries(
+      Object.keys(ANALYSED_COLUMNS).map((column) => [column, 0])
+    ),
+    next_cursor: after || null,
+    done: false,
+  };
+
+  while (totals.batches < maxBatches) {
+    const batch = await reanalyzeBatch(pool, {
+      after: totals.next_cursor || "",
+      batchSize,
+      all,
+    });
+
+    if (!batch) {
+      totals.done = true;
+      break;
+    }
+
+    totals.batches++;
+    totals.rows_scanned += batch.scanned;
+    totals.rows_updated += batch.updated;
+    Object.entries(batch.changed).forEach(([column, rows]) => {
+      totals.changed[column] += rows;
+    });
+    totals.next_cursor = batch.cursor;
+    // A short batch was the last one
+    totals.done = batch.scanned < batchSize;
+
+    if (onBatch) {
+      await onBatch(batch, totals);
+    }
+
+    if (totals.done) {
+      break;
+    }
+  }
+
+  if (totals.done) {
+    totals.next_cursor = null;
+  }
+
+  return totals;
+};
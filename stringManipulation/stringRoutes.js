@@ -1,6 +1,10 @@
 import express from "express";
 import {
   createString,
+  bulkCreateStrings,
+  reanalyzeStoredStrings,
+  getSimilarStrings,
+  getStringAnagrams,
   getStringByValue,
   getAllStrings,
   deleteString,
@@ -17,13 +21,32 @@ router.get("/strings/filter-by-natural-language", processNaturalQueryGet);
 // POST natural query (specific path)
 router.post("/strings/query", processNaturalQuery);
 
+// Bulk create strings (JSON array, NDJSON or one string per line)
+router.post(
+  "/strings/bulk",
+  express.text({
+    type: ["text/plain", "application/x-ndjson"],
+    limit: "10mb",
+  }),
+  bulkCreateStrings
+);
+
+// Re-run the current analysis over stored strings (admin)
+router.post("/strings/reanalyze", reanalyzeStoredStrings);
+
 // Create string
 router.post("/strings", createString);
 
 // Get all strings (with optional filters)
 router.get("/strings", getAllStrings);
 
+// Strings within an edit distance of ?value=
+router.get("/strings/similar", getSimilarStrings);
+
 // Parameterized routes MUST come last
+// Stored anagrams of a string
+router.get("/strings/:string_value/anagrams", getStringAnagrams);
+
 // Get by string value (the actual string, not hash)
 router.get("/strings/:string_value", getStringByValue);
 router.delete("/strings/:string_value", deleteString);
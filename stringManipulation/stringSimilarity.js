@@ -0,0 +1,51 @@
+import { splitGraphemes } from "./stringAnalysis.js";
+
+// Edit distance for GET /strings/similar and the anagram ranking.
+// Strings are compared case-insensitively, one grapheme at a time, so an
+// accented letter or an emoji is a single edit.
+
+const toComparable = (text) => splitGraphemes(text.toLowerCase());
+
+// Levenshtein distance between a and b. With maxDistance, gives up as soon as
+// the distance must exceed it and returns maxDistance + 1.
+export const levenshtein = (a, b, maxDistance = Infinity) => {
+  const source = toComparable(a);
+  const target = toComparable(b);
+
+  if (Math.abs(source.length - target.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return Math.min(previous[target.length], maxDistance + 1);
+};
+
+// 1 for identical strings down to 0 for nothing in common, to 4 decimals
+export const similarityScore = (a, b, distance) => {
+  const longest = Math.max(toComparable(a).length, toComparable(b).length);
+  if (longest === 0) {
+    return 1;
+  }
+  return Math.round((1 - distance / longest) * 10000) / 10000;
+};